@@ -1,3 +1,43 @@
 'use strict';
 
-module.exports = {};
+const constants = require('./scripts/constants');
+const encoding = require('./scripts/encoding');
+const tokenId = require('./scripts/tokenId');
+const addresses = require('./scripts/addresses');
+const errors = require('./scripts/errors');
+const tokenManagerParams = require('./scripts/tokenManagerParams');
+const events = require('./scripts/events');
+const flowLimit = require('./scripts/flowLimit');
+const decimals = require('./scripts/decimals');
+const itsHub = require('./scripts/itsHub');
+const gasQuote = require('./scripts/gasQuote');
+const verifyDeployment = require('./scripts/verifyDeployment');
+const governance = require('./scripts/governance');
+const trustedChains = require('./scripts/trustedChains');
+const factoryMulticall = require('./scripts/factoryMulticall');
+const tokenAdvisor = require('./scripts/tokenAdvisor');
+const tokenMetadata = require('./scripts/tokenMetadata');
+const permit = require('./scripts/permit');
+const roles = require('./scripts/roles');
+
+module.exports = {
+    ...constants,
+    ...encoding,
+    ...tokenId,
+    ...addresses,
+    ...errors,
+    ...tokenManagerParams,
+    ...events,
+    ...flowLimit,
+    ...decimals,
+    ...itsHub,
+    ...gasQuote,
+    ...verifyDeployment,
+    ...governance,
+    ...trustedChains,
+    ...factoryMulticall,
+    ...tokenAdvisor,
+    ...tokenMetadata,
+    ...permit,
+    ...roles,
+};
@@ -0,0 +1,40 @@
+'use strict';
+
+const {
+    utils: { defaultAbiCoder, getAddress, getCreate2Address, getContractAddress, keccak256, toUtf8Bytes },
+} = require('ethers');
+
+// Fixed CreateDeploy bytecode from Create3AddressFixed, which keeps CREATE3 addresses independent of the compiler settings
+const CREATE_DEPLOY_BYTECODE =
+    '0x608060405234801561001057600080fd5b50610162806100206000396000f3fe60806040526004361061001d5760003560e01c806277436014610022575b600080fd5b61003561003036600461007b565b610037565b005b8051602082016000f061004957600080fd5b50565b7f4e487b7100000000000000000000000000000000000000000000000000000000600052604160045260246000fd5b60006020828403121561008d57600080fd5b813567ffffffffffffffff808211156100a557600080fd5b818401915084601f8301126100b957600080fd5b8135818111156100cb576100cb61004c565b604051601f8201601f19908116603f011681019083821181831017156100f3576100f361004c565b8160405282815287602084870101111561010c57600080fd5b82602086016020830137600092810160200192909252509594505050505056fea264697066735822122094780ce55d28f1d568f4e0ab1b9dc230b96e952b73d2e06456fbff2289fa27f464736f6c63430008150033';
+const CREATE_DEPLOY_BYTECODE_HASH = keccak256(CREATE_DEPLOY_BYTECODE);
+
+const PREFIX_INTERCHAIN_TOKEN_SALT = keccak256(toUtf8Bytes('its-interchain-token-salt'));
+
+function create3Address(deployerAddress, deploySalt, createDeployBytecodeHash = CREATE_DEPLOY_BYTECODE_HASH) {
+    const createDeployAddress = getCreate2Address(deployerAddress, deploySalt, createDeployBytecodeHash);
+
+    return getAddress(getContractAddress({ from: createDeployAddress, nonce: 1 }));
+}
+
+function interchainTokenSalt(tokenId) {
+    return keccak256(defaultAbiCoder.encode(['bytes32', 'bytes32'], [PREFIX_INTERCHAIN_TOKEN_SALT, tokenId]));
+}
+
+// Token managers and interchain tokens are deployed via delegatecall, so the ITS address is the CREATE3 deployer
+function tokenManagerAddress(interchainTokenServiceAddress, tokenId) {
+    return create3Address(interchainTokenServiceAddress, tokenId);
+}
+
+function interchainTokenAddress(interchainTokenServiceAddress, tokenId) {
+    return create3Address(interchainTokenServiceAddress, interchainTokenSalt(tokenId));
+}
+
+module.exports = {
+    CREATE_DEPLOY_BYTECODE,
+    CREATE_DEPLOY_BYTECODE_HASH,
+    create3Address,
+    interchainTokenSalt,
+    tokenManagerAddress,
+    interchainTokenAddress,
+};
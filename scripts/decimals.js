@@ -0,0 +1,53 @@
+'use strict';
+
+const {
+    BigNumber,
+    constants: { MaxUint256 },
+} = require('ethers');
+const { contractError } = require('./errors');
+
+const MAX_DECIMALS = 255;
+
+// Decimals are a `uint8` in ITS messages, so the hub can't receive values outside of its range
+function validateDecimals(decimals) {
+    if (!Number.isInteger(decimals) || decimals < 0 || decimals > MAX_DECIMALS)
+        throw contractError('InvalidTokenDecimals', [String(decimals)]);
+}
+
+// Converts an amount between linked tokens the way the ITS Hub does, scaling down truncates the dust that can't be represented.
+// Transfers that scale down to zero would be rejected with `ZeroAmount`, and the dust is returned in the source token's units.
+function scaleAmount(amount, sourceDecimals, destinationDecimals) {
+    validateDecimals(sourceDecimals);
+    validateDecimals(destinationDecimals);
+
+    const sourceAmount = BigNumber.from(amount);
+    let scaledAmount = sourceAmount;
+    let dust = BigNumber.from(0);
+
+    if (destinationDecimals > sourceDecimals) {
+        scaledAmount = sourceAmount.mul(BigNumber.from(10).pow(destinationDecimals - sourceDecimals));
+
+        if (scaledAmount.gt(MaxUint256)) throw contractError('AmountOverflow', [sourceAmount.toString()]);
+    } else if (destinationDecimals < sourceDecimals) {
+        const factor = BigNumber.from(10).pow(sourceDecimals - destinationDecimals);
+
+        scaledAmount = sourceAmount.div(factor);
+        dust = sourceAmount.mod(factor);
+    }
+
+    if (scaledAmount.isZero()) throw contractError('ZeroAmount');
+
+    return { amount: scaledAmount, dust };
+}
+
+// The part of `amount` that arrives on the destination chain without losing any dust
+function getTransferableAmount(amount, sourceDecimals, destinationDecimals) {
+    const { dust } = scaleAmount(amount, sourceDecimals, destinationDecimals);
+
+    return BigNumber.from(amount).sub(dust);
+}
+
+module.exports = {
+    scaleAmount,
+    getTransferableAmount,
+};
@@ -0,0 +1,228 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { ethers, network } = require('hardhat');
+const {
+    Contract,
+    utils: { defaultAbiCoder, isAddress },
+} = ethers;
+const Proxy = require('../artifacts/contracts/proxies/InterchainProxy.sol/InterchainProxy.json');
+const Create3Deployer = require('@axelar-network/axelar-gmp-sdk-solidity/artifacts/contracts/deploy/Create3Deployer.sol/Create3Deployer.json');
+const { create3DeployContract, getCreate3Address } = require('@axelar-network/axelar-gmp-sdk-solidity');
+const { deployContract } = require('./deploy');
+
+const PROXY_ABI = ['function implementation() view returns (address)', 'function owner() view returns (address)'];
+
+function readManifest(manifestPath) {
+    return fs.existsSync(manifestPath) ? JSON.parse(fs.readFileSync(manifestPath, 'utf8')) : {};
+}
+
+function writeManifest(manifestPath, manifest) {
+    fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + '\n');
+}
+
+// Proxies that are recorded without being deployed have to point to the implementation and owner of their constructor arguments.
+// The setup params are not stored by the proxy, so they cannot be compared.
+async function checkProxy(provider, name, address, [implementation, owner]) {
+    const proxy = new Contract(address, PROXY_ABI, provider);
+    const actual = { implementation: await proxy.implementation(), owner: await proxy.owner() };
+
+    for (const [key, expected] of Object.entries({ implementation, owner })) {
+        if (actual[key].toLowerCase() !== expected.toLowerCase()) {
+            throw new Error(`${name} is already deployed at ${address} with the ${key} ${actual[key]}, not ${expected}`);
+        }
+    }
+}
+
+function validateChainConfig(chainName, config) {
+    if (!config) throw new Error(`Missing config for chain ${chainName}`);
+
+    for (const key of ['gateway', 'gasService']) {
+        if (!isAddress(config[key])) throw new Error(`Invalid ${key} address ${config[key]} for chain ${chainName}`);
+    }
+
+    if (!config.itsHubAddress) throw new Error(`Missing ITS Hub address for chain ${chainName}`);
+}
+
+// Deploys ITS on the network of `wallet` as configured for `chainName`, and records every contract in the manifest at `manifestPath`.
+// Contracts that are already in the manifest are skipped, so rerunning the deployment resumes it after a failure.
+// Contracts are only skipped if they were deployed with the same constructor arguments, to avoid wiring stale contracts together.
+// Proxies that are already deployed at their CREATE3 address but missing from the manifest are recorded without redeploying them,
+// if their implementation and owner match their constructor arguments.
+async function deployWithManifest(wallet, chainName, chainConfig, manifestPath) {
+    validateChainConfig(chainName, chainConfig);
+
+    const {
+        gateway,
+        gasService,
+        itsHubAddress,
+        trustedChains = [],
+        deploymentKey = 'InterchainTokenService',
+        factoryDeploymentKey = deploymentKey + 'Factory',
+        owner = wallet.address,
+        operator = wallet.address,
+    } = chainConfig;
+    const { chainId } = await wallet.provider.getNetwork();
+
+    const manifest = readManifest(manifestPath);
+    const chainManifest = manifest[chainName] || { chainId, deployer: wallet.address, contracts: {} };
+    manifest[chainName] = chainManifest;
+
+    if (chainManifest.chainId !== chainId) {
+        throw new Error(`Manifest of chain ${chainName} is for chain id ${chainManifest.chainId}, not ${chainId}`);
+    }
+
+    // CREATE3 addresses depend on the deployer, so resuming with another wallet would deploy the proxies elsewhere
+    if (chainManifest.deployer !== wallet.address) {
+        throw new Error(`Manifest of chain ${chainName} was deployed by ${chainManifest.deployer}, not ${wallet.address}`);
+    }
+
+    const deployed = [];
+    const skipped = [];
+    const recorded = [];
+
+    function record(name, address, args, details) {
+        chainManifest.contracts[name] = { address, args, ...details };
+        writeManifest(manifestPath, manifest);
+    }
+
+    // `address` is the address the contract has to be at, if it is known before deploying it. A contract that already has code there
+    // is recorded instead of deployed, e.g. a CREATE3 proxy whose deployment was mined without being recorded, after `checkExisting`
+    // confirmed that it matches `args`.
+    async function deployStep(name, args, deploy, { details = {}, address, checkExisting } = {}) {
+        const entry = chainManifest.contracts[name];
+
+        if (entry) {
+            if (JSON.stringify(entry.args) !== JSON.stringify(args)) {
+                throw new Error(`Constructor arguments of ${name} changed since it was deployed at ${entry.address}`);
+            }
+
+            if (address && entry.address !== address) {
+                throw new Error(`${name} is in the manifest at ${entry.address}, not at ${address}`);
+            }
+
+            if ((await wallet.provider.getCode(entry.address)) === '0x') {
+                throw new Error(`${name} is in the manifest but has no code at ${entry.address}`);
+            }
+
+            skipped.push(name);
+            return entry.address;
+        }
+
+        if (address && (await wallet.provider.getCode(address)) !== '0x') {
+            if (checkExisting) await checkExisting(address);
+
+            record(name, address, args, details);
+            recorded.push(name);
+
+            return address;
+        }
+
+        const contract = await deploy();
+
+        record(name, contract.address, args, details);
+        deployed.push(name);
+
+        return contract.address;
+    }
+
+    // A configured deployer is recorded like a deployed one, so a resumed run can check that it uses the same CREATE3 addresses
+    const create3DeployerAddress = await deployStep(
+        'Create3Deployer',
+        [],
+        () => {
+            if (chainConfig.create3Deployer) throw new Error(`Create3Deployer has no code at ${chainConfig.create3Deployer}`);
+
+            return new ethers.ContractFactory(Create3Deployer.abi, Create3Deployer.bytecode, wallet).deploy().then((d) => d.deployed());
+        },
+        { details: chainConfig.create3Deployer ? { configured: true } : {}, address: chainConfig.create3Deployer },
+    );
+
+    // Deploying a proxy again to the same CREATE3 salt reverts, so a proxy that is already deployed is recorded instead
+    const deployProxy = async (name, key, args) =>
+        deployStep(name, args, () => create3DeployContract(create3DeployerAddress, wallet, Proxy, key, args), {
+            details: { deploymentKey: key },
+            address: await getCreate3Address(create3DeployerAddress, wallet, key),
+            checkExisting: (address) => checkProxy(wallet.provider, name, address, args),
+        });
+
+    const serviceAddress = await getCreate3Address(create3DeployerAddress, wallet, deploymentKey);
+    const factoryAddress = await getCreate3Address(create3DeployerAddress, wallet, factoryDeploymentKey);
+
+    const tokenManagerDeployer = await deployStep('TokenManagerDeployer', [], () => deployContract(wallet, 'TokenManagerDeployer'));
+    const interchainToken = await deployStep('InterchainToken', [serviceAddress], () =>
+        deployContract(wallet, 'InterchainToken', [serviceAddress]),
+    );
+    const interchainTokenDeployer = await deployStep('InterchainTokenDeployer', [interchainToken], () =>
+        deployContract(wallet, 'InterchainTokenDeployer', [interchainToken]),
+    );
+    const tokenManager = await deployStep('TokenManager', [serviceAddress], () => deployContract(wallet, 'TokenManager', [serviceAddress]));
+    const tokenHandler = await deployStep('TokenHandler', [], () => deployContract(wallet, 'TokenHandler'));
+
+    const serviceArgs = [
+        tokenManagerDeployer,
+        interchainTokenDeployer,
+        gateway,
+        gasService,
+        factoryAddress,
+        chainName,
+        itsHubAddress,
+        tokenManager,
+        tokenHandler,
+    ];
+    const serviceImplementation = await deployStep('InterchainTokenServiceImplementation', serviceArgs, () =>
+        deployContract(wallet, 'InterchainTokenService', serviceArgs),
+    );
+    await deployProxy('InterchainTokenService', deploymentKey, [
+        serviceImplementation,
+        owner,
+        defaultAbiCoder.encode(['address', 'string', 'string[]'], [operator, chainName, trustedChains]),
+    ]);
+
+    const factoryImplementation = await deployStep('InterchainTokenFactoryImplementation', [serviceAddress], () =>
+        deployContract(wallet, 'InterchainTokenFactory', [serviceAddress]),
+    );
+    await deployProxy('InterchainTokenFactory', factoryDeploymentKey, [factoryImplementation, owner, '0x']);
+
+    const serviceInterface = (await ethers.getContractFactory('InterchainTokenService')).interface;
+    const factoryInterface = (await ethers.getContractFactory('InterchainTokenFactory')).interface;
+
+    return {
+        manifest: chainManifest,
+        deployed,
+        skipped,
+        recorded,
+        service: new Contract(serviceAddress, serviceInterface, wallet),
+        tokenFactory: new Contract(factoryAddress, factoryInterface, wallet),
+    };
+}
+
+// CONFIG=config.json MANIFEST=manifest.json npx hardhat run scripts/deployManifest.js --network <network>
+// The config maps chain names to their settings, the chain defaults to the hardhat network name and can be set with CHAIN.
+async function main() {
+    const { CONFIG, MANIFEST, CHAIN = network.name } = process.env;
+    if (!CONFIG || !MANIFEST) throw new Error('CONFIG and MANIFEST have to be set');
+
+    const [wallet] = await ethers.getSigners();
+    const config = JSON.parse(fs.readFileSync(CONFIG, 'utf8'));
+    const { deployed, skipped, recorded, manifest } = await deployWithManifest(wallet, CHAIN, config[CHAIN], MANIFEST);
+
+    console.log(
+        `Deployed ${deployed.length} contracts on ${CHAIN}, skipped ${skipped.length} from the manifest, recorded ${recorded.length} existing ones`,
+    );
+    console.log(`InterchainTokenService: ${manifest.contracts.InterchainTokenService.address}`);
+    console.log(`InterchainTokenFactory: ${manifest.contracts.InterchainTokenFactory.address}`);
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error(error);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    deployWithManifest,
+};
@@ -0,0 +1,193 @@
+'use strict';
+
+const {
+    BigNumber,
+    utils: { arrayify, defaultAbiCoder, hexConcat, hexDataLength, hexDataSlice, hexZeroPad, hexlify, keccak256 },
+} = require('ethers');
+const {
+    MESSAGE_TYPE_INTERCHAIN_TRANSFER,
+    MESSAGE_TYPE_DEPLOY_INTERCHAIN_TOKEN,
+    MESSAGE_TYPE_DEPLOY_TOKEN_MANAGER,
+    MESSAGE_TYPE_SEND_TO_HUB,
+    MESSAGE_TYPE_RECEIVE_FROM_HUB,
+    MESSAGE_TYPE_LINK_TOKEN,
+    MESSAGE_TYPE_REGISTER_TOKEN_METADATA,
+    METADATA_CONTRACT_CALL,
+    MINT_BURN,
+} = require('./constants');
+const { contractError } = require('./errors');
+
+const HUB_MESSAGE_TYPES = [MESSAGE_TYPE_INTERCHAIN_TRANSFER, MESSAGE_TYPE_DEPLOY_INTERCHAIN_TOKEN, MESSAGE_TYPE_LINK_TOKEN];
+
+function encodeInterchainTransferMessage(tokenId, from, to, amount, data) {
+    return defaultAbiCoder.encode(
+        ['uint256', 'bytes32', 'bytes', 'bytes', 'uint256', 'bytes'],
+        [MESSAGE_TYPE_INTERCHAIN_TRANSFER, tokenId, from, to, amount, data],
+    );
+}
+
+function encodeDeployInterchainTokenMessage(tokenId, name, symbol, decimals, minter) {
+    return defaultAbiCoder.encode(
+        ['uint256', 'bytes32', 'string', 'string', 'uint8', 'bytes'],
+        [MESSAGE_TYPE_DEPLOY_INTERCHAIN_TOKEN, tokenId, name, symbol, decimals, minter],
+    );
+}
+
+// Deprecated message type, it is no longer accepted by InterchainTokenService
+function encodeDeployTokenManagerMessage(tokenId, address, salt) {
+    return defaultAbiCoder.encode(['uint256', 'bytes32', 'bytes', 'uint256'], [MESSAGE_TYPE_DEPLOY_TOKEN_MANAGER, tokenId, address, salt]);
+}
+
+function encodeSendHubMessage(chain, message) {
+    const payload = defaultAbiCoder.encode(['uint256', 'string', 'bytes'], [MESSAGE_TYPE_SEND_TO_HUB, chain, message]);
+    return {
+        payload,
+        payloadHash: keccak256(payload),
+    };
+}
+
+function encodeReceiveHubMessage(chain, message) {
+    const payload = defaultAbiCoder.encode(['uint256', 'string', 'bytes'], [MESSAGE_TYPE_RECEIVE_FROM_HUB, chain, message]);
+    return {
+        payload,
+        payloadHash: keccak256(payload),
+    };
+}
+
+function encodeLinkTokenMessage(tokenId, type, remoteAddress, localAddress, minter) {
+    return defaultAbiCoder.encode(
+        ['uint256', 'bytes32', 'uint256', 'bytes', 'bytes', 'bytes'],
+        [MESSAGE_TYPE_LINK_TOKEN, tokenId, type, remoteAddress, localAddress, minter],
+    );
+}
+
+function encodeRegisterTokenMetadataMessage(tokenAddress, decimals) {
+    const payload = defaultAbiCoder.encode(['uint256', 'bytes', 'uint8'], [MESSAGE_TYPE_REGISTER_TOKEN_METADATA, tokenAddress, decimals]);
+    return {
+        payload,
+        payloadHash: keccak256(payload),
+    };
+}
+
+function getMessageType(payload) {
+    const bytes = arrayify(payload);
+    if (bytes.length < 32) throw contractError('InvalidPayload');
+
+    return BigNumber.from(bytes.slice(0, 32));
+}
+
+function decodePayload(types, payload) {
+    try {
+        return defaultAbiCoder.decode(types, payload);
+    } catch {
+        // The contract would revert without a reason while decoding a malformed message
+        throw contractError('InvalidPayload');
+    }
+}
+
+function decodeHubMessage(payload, messageType) {
+    const [, chain, message] = decodePayload(['uint256', 'string', 'bytes'], payload);
+    const innerMessageType = getMessageType(message);
+
+    // Hub messages can only wrap messages that are executed by the destination ITS
+    if (!HUB_MESSAGE_TYPES.some((type) => innerMessageType.eq(type))) {
+        throw contractError('InvalidMessageType', [innerMessageType.toString()]);
+    }
+
+    const chainKey = messageType === MESSAGE_TYPE_SEND_TO_HUB ? 'destinationChain' : 'sourceChain';
+
+    return {
+        messageType,
+        [chainKey]: chain,
+        message: decodeItsPayload(message),
+    };
+}
+
+function decodeItsPayload(payload) {
+    const messageType = getMessageType(payload);
+
+    if (messageType.gt(MESSAGE_TYPE_REGISTER_TOKEN_METADATA)) {
+        throw contractError('InvalidMessageType', [messageType.toString()]);
+    }
+
+    switch (messageType.toNumber()) {
+        case MESSAGE_TYPE_INTERCHAIN_TRANSFER: {
+            const [, tokenId, sourceAddress, destinationAddress, amount, data] = decodePayload(
+                ['uint256', 'bytes32', 'bytes', 'bytes', 'uint256', 'bytes'],
+                payload,
+            );
+
+            return { messageType: MESSAGE_TYPE_INTERCHAIN_TRANSFER, tokenId, sourceAddress, destinationAddress, amount, data };
+        }
+
+        case MESSAGE_TYPE_DEPLOY_INTERCHAIN_TOKEN: {
+            const [, tokenId, name, symbol, decimals, minter] = decodePayload(
+                ['uint256', 'bytes32', 'string', 'string', 'uint8', 'bytes'],
+                payload,
+            );
+
+            return { messageType: MESSAGE_TYPE_DEPLOY_INTERCHAIN_TOKEN, tokenId, name, symbol, decimals, minter };
+        }
+
+        case MESSAGE_TYPE_SEND_TO_HUB:
+        case MESSAGE_TYPE_RECEIVE_FROM_HUB:
+            return decodeHubMessage(payload, messageType.toNumber());
+
+        case MESSAGE_TYPE_LINK_TOKEN: {
+            const [, tokenId, tokenManagerType, sourceTokenAddress, destinationTokenAddress, linkParams] = decodePayload(
+                ['uint256', 'bytes32', 'uint256', 'bytes', 'bytes', 'bytes'],
+                payload,
+            );
+
+            // Decoding into the `TokenManagerType` enum reverts for out of range values
+            if (tokenManagerType.gt(MINT_BURN)) throw contractError('InvalidPayload');
+
+            return {
+                messageType: MESSAGE_TYPE_LINK_TOKEN,
+                tokenId,
+                tokenManagerType: tokenManagerType.toNumber(),
+                sourceTokenAddress,
+                destinationTokenAddress,
+                linkParams,
+            };
+        }
+
+        case MESSAGE_TYPE_REGISTER_TOKEN_METADATA: {
+            const [, tokenAddress, decimals] = decodePayload(['uint256', 'bytes', 'uint8'], payload);
+
+            return { messageType: MESSAGE_TYPE_REGISTER_TOKEN_METADATA, tokenAddress, decimals };
+        }
+
+        default:
+            throw contractError('InvalidMessageType', [messageType.toString()]);
+    }
+}
+
+function encodeMetadata(data = '0x', version = METADATA_CONTRACT_CALL) {
+    if (version !== METADATA_CONTRACT_CALL) throw contractError('InvalidMetadataVersion', [String(version)]);
+
+    return hexConcat([hexZeroPad(hexlify(version), 4), data]);
+}
+
+// Mirrors `InterchainTokenService._decodeMetadata`, metadata shorter than the version prefix carries no data
+function decodeMetadata(metadata) {
+    if (hexDataLength(metadata) < 4) return { version: null, data: '0x' };
+
+    const version = BigNumber.from(hexDataSlice(metadata, 0, 4)).toNumber();
+    if (version !== METADATA_CONTRACT_CALL) throw contractError('InvalidMetadataVersion', [String(version)]);
+
+    return { version, data: hexDataSlice(metadata, 4) };
+}
+
+module.exports = {
+    encodeInterchainTransferMessage,
+    encodeDeployInterchainTokenMessage,
+    encodeDeployTokenManagerMessage,
+    encodeSendHubMessage,
+    encodeReceiveHubMessage,
+    encodeLinkTokenMessage,
+    encodeRegisterTokenMetadataMessage,
+    decodeItsPayload,
+    encodeMetadata,
+    decodeMetadata,
+};
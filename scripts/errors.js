@@ -0,0 +1,217 @@
+'use strict';
+
+const {
+    BigNumber,
+    utils: { Fragment, Interface, defaultAbiCoder, hexDataLength, hexDataSlice, isHexString },
+} = require('ethers');
+const IAxelarAmplifierGateway = require('@axelar-network/axelar-gmp-sdk-solidity/interfaces/IAxelarAmplifierGateway.json');
+const IAxelarGasService = require('@axelar-network/axelar-gmp-sdk-solidity/interfaces/IAxelarGasService.json');
+const IAxelarValuedExpressExecutable = require('@axelar-network/axelar-gmp-sdk-solidity/interfaces/IAxelarValuedExpressExecutable.json');
+const IInterchainAddressTracker = require('@axelar-network/axelar-gmp-sdk-solidity/interfaces/IInterchainAddressTracker.json');
+const IRolesBase = require('@axelar-network/axelar-gmp-sdk-solidity/interfaces/IRolesBase.json');
+const IPausable = require('@axelar-network/axelar-gmp-sdk-solidity/interfaces/IPausable.json');
+const IUpgradable = require('@axelar-network/axelar-gmp-sdk-solidity/interfaces/IUpgradable.json');
+const IMulticall = require('@axelar-network/axelar-gmp-sdk-solidity/interfaces/IMulticall.json');
+const IProxy = require('@axelar-network/axelar-gmp-sdk-solidity/interfaces/IProxy.json');
+const IDeploy = require('@axelar-network/axelar-gmp-sdk-solidity/interfaces/IDeploy.json');
+const IERC20 = require('@axelar-network/axelar-gmp-sdk-solidity/interfaces/IERC20.json');
+const IAxelarGateway = require('@axelar-network/axelar-cgp-solidity/interfaces/IAxelarGateway.json');
+
+const ITS_ERRORS = {
+    IInterchainTokenService: [
+        'error InvalidChainName()',
+        'error NotItsHub()',
+        'error TokenManagerDoesNotExist(bytes32 tokenId)',
+        'error ExecuteWithInterchainTokenFailed(address contractAddress)',
+        'error ExpressExecuteWithInterchainTokenFailed(address contractAddress)',
+        'error TokenManagerDeploymentFailed(bytes error)',
+        'error InterchainTokenDeploymentFailed(bytes error)',
+        'error InvalidMessageType(uint256 messageType)',
+        'error InvalidMetadataVersion(uint32 version)',
+        'error InvalidExpressMessageType(uint256 messageType)',
+        'error TakeTokenFailed(bytes data)',
+        'error GiveTokenFailed(bytes data)',
+        'error TokenHandlerFailed(bytes data)',
+        'error EmptyData()',
+        'error PostDeployFailed(bytes data)',
+        'error ZeroAmount()',
+        'error CannotDeploy(uint8 tokenManagerType)',
+        'error CannotDeployRemotelyToSelf()',
+        'error InvalidPayload()',
+        'error EmptyTokenName()',
+        'error EmptyTokenSymbol()',
+        'error EmptyParams()',
+        'error EmptyDestinationAddress()',
+        'error EmptyTokenAddress()',
+        'error NotSupported()',
+        'error NotInterchainTokenFactory(address sender)',
+        'error NotOperatorOrOwner(address sender)',
+    ],
+    IInterchainTokenFactory: [
+        'error ZeroAddress()',
+        'error InvalidMinter(address minter)',
+        'error NotMinter(address minter)',
+        'error RemoteDeploymentNotApproved()',
+        'error InvalidTokenId(bytes32 tokenId, bytes32 expectedTokenId)',
+        'error ZeroSupplyToken()',
+        'error NotToken(address tokenAddress)',
+    ],
+    ITokenManager: [
+        'error TokenLinkerZeroAddress()',
+        'error NotService(address caller)',
+        'error TakeTokenFailed()',
+        'error GiveTokenFailed()',
+        'error AlreadyFlowLimiter(address flowLimiter)',
+        'error NotFlowLimiter(address flowLimiter)',
+    ],
+    IFlowLimit: [
+        'error FlowLimitExceeded(uint256 limit, uint256 flowAmount, address tokenManager)',
+        'error FlowAmountOverflow(uint256 flowAmount, uint256 flowToAdd, address tokenManager)',
+        'error FlowAmountExceededLimit(uint256 limit, uint256 flowAmount, address tokenManager)',
+    ],
+    IInterchainToken: [
+        'error InterchainTokenServiceAddressZero()',
+        'error TokenIdZero()',
+        'error TokenNameEmpty()',
+        'error TokenSymbolEmpty()',
+        'error AlreadyInitialized()',
+        'error PermitExpired()',
+        'error InvalidS()',
+        'error InvalidV()',
+        'error InvalidSignature()',
+    ],
+    IInterchainTokenDeployer: ['error AddressZero()', 'error TokenDeploymentFailed()'],
+    ITokenManagerDeployer: ['error TokenManagerDeploymentFailed()'],
+    ITokenHandler: ['error UnsupportedTokenManagerType(uint256 tokenManagerType)', 'error NotToken(address caller, address token)'],
+    IItsHubAddressTracker: ['error InvalidHubAddress()'],
+};
+
+// Errors raised by libraries of the GMP SDK, which aren't part of an interface
+const LIBRARY_ERRORS = [
+    'error TokenTransferFailed()',
+    'error NativeTransferFailed()',
+    'error InvalidBytesLength(bytes bytesAddress)',
+    'error ExpressExecutorAlreadySet()',
+];
+
+// Solidity's built-in `require`/`revert` reasons and panics, which ethers doesn't allow as user defined errors
+const BUILTIN_ERRORS = {
+    '0x08c379a0': { name: 'Error', signature: 'Error(string)', types: ['string'] },
+    '0x4e487b71': { name: 'Panic', signature: 'Panic(uint256)', types: ['uint256'] },
+};
+
+// Errors that wrap the revert data of a failed inner call
+const WRAPPER_ERRORS = [
+    'TakeTokenFailed(bytes)',
+    'GiveTokenFailed(bytes)',
+    'TokenHandlerFailed(bytes)',
+    'TokenManagerDeploymentFailed(bytes)',
+    'InterchainTokenDeploymentFailed(bytes)',
+    'PostDeployFailed(bytes)',
+];
+
+const DEPENDENCY_ABIS = [
+    IAxelarAmplifierGateway,
+    IAxelarGateway,
+    IAxelarGasService,
+    IAxelarValuedExpressExecutable,
+    IInterchainAddressTracker,
+    IRolesBase,
+    IPausable,
+    IUpgradable,
+    IMulticall,
+    IProxy,
+    IDeploy,
+    IERC20,
+].map(({ abi }) => abi.filter(({ type }) => type === 'error'));
+
+function getErrorInterface() {
+    const fragments = {};
+
+    for (const fragment of [...Object.values(ITS_ERRORS), LIBRARY_ERRORS, ...DEPENDENCY_ABIS].flat()) {
+        const errorFragment = Fragment.from(fragment);
+        fragments[errorFragment.format()] = errorFragment;
+    }
+
+    return new Interface(Object.values(fragments));
+}
+
+const errorInterface = getErrorInterface();
+
+// Mirrors the custom errors raised by the contracts, so that callers can match on `error.name`
+function contractError(name, args = []) {
+    const error = new Error(`${name}(${args.join(', ')})`);
+    error.name = name;
+    error.args = args;
+
+    return error;
+}
+
+function decodeError(data) {
+    if (!isHexString(data) || hexDataLength(data) < 4) return null;
+
+    const selector = hexDataSlice(data, 0, 4);
+
+    if (BUILTIN_ERRORS[selector]) {
+        const { name, signature, types } = BUILTIN_ERRORS[selector];
+
+        return { name, signature, selector, args: defaultAbiCoder.decode(types, hexDataSlice(data, 4)), data };
+    }
+
+    let description;
+
+    try {
+        description = errorInterface.parseError(data);
+    } catch {
+        return { name: null, signature: null, selector, args: [], data };
+    }
+
+    const { name, signature, args } = description;
+    const decoded = { name, signature, selector, args, data };
+
+    if (WRAPPER_ERRORS.includes(signature)) {
+        decoded.cause = decodeError(args[0]);
+    }
+
+    return decoded;
+}
+
+// Finds the revert data in the errors thrown by ethers and hardhat, which nest it at different depths
+function getRevertData(error) {
+    if (!error || typeof error !== 'object') return null;
+
+    if (isHexString(error.data)) return error.data;
+
+    for (const key of ['data', 'error', 'cause']) {
+        const data = getRevertData(error[key]);
+
+        if (data) return data;
+    }
+
+    return null;
+}
+
+function formatArg(arg) {
+    if (BigNumber.isBigNumber(arg)) return arg.toString();
+    if (Array.isArray(arg)) return `[${arg.map(formatArg).join(', ')}]`;
+
+    return String(arg);
+}
+
+function formatError(decoded) {
+    if (!decoded) return 'empty revert data';
+    if (!decoded.name) return `unknown error ${decoded.selector}`;
+
+    const formatted = `${decoded.name}(${Array.from(decoded.args).map(formatArg).join(', ')})`;
+
+    return decoded.cause !== undefined ? `${formatted} caused by ${formatError(decoded.cause)}` : formatted;
+}
+
+module.exports = {
+    ITS_ERRORS,
+    errorInterface,
+    contractError,
+    decodeError,
+    getRevertData,
+    formatError,
+};
@@ -0,0 +1,112 @@
+'use strict';
+
+const {
+    utils: { Interface },
+} = require('ethers');
+const { decodeTokenManagerParams } = require('./tokenManagerParams');
+
+const ITS_EVENTS = [
+    'event InterchainTransfer(bytes32 indexed tokenId, address indexed sourceAddress, string destinationChain, bytes destinationAddress, uint256 amount, bytes32 indexed dataHash)',
+    'event InterchainTransferReceived(bytes32 indexed commandId, bytes32 indexed tokenId, string sourceChain, bytes sourceAddress, address indexed destinationAddress, uint256 amount, bytes32 dataHash)',
+    'event TokenMetadataRegistered(address indexed tokenAddress, uint8 decimals)',
+    'event LinkTokenStarted(bytes32 indexed tokenId, string destinationChain, bytes sourceTokenAddress, bytes destinationTokenAddress, uint8 indexed tokenManagerType, bytes params)',
+    'event InterchainTokenDeploymentStarted(bytes32 indexed tokenId, string tokenName, string tokenSymbol, uint8 tokenDecimals, bytes minter, string destinationChain)',
+    'event TokenManagerDeployed(bytes32 indexed tokenId, address tokenManager, uint8 indexed tokenManagerType, bytes params)',
+    'event InterchainTokenDeployed(bytes32 indexed tokenId, address tokenAddress, address indexed minter, string name, string symbol, uint8 decimals)',
+    'event InterchainTokenIdClaimed(bytes32 indexed tokenId, address indexed deployer, bytes32 indexed salt)',
+    'event TrustedChainSet(string chainName)',
+    'event TrustedChainRemoved(string chainName)',
+];
+
+// Blocks per `getLogs` query, since RPC providers limit the block range or the number of logs of a single query
+const DEFAULT_BLOCK_CHUNK_SIZE = 10000;
+
+// Emitted by the token managers rather than the service
+const TOKEN_MANAGER_EVENTS = ['event FlowLimitSet(bytes32 indexed tokenId, address operator, uint256 flowLimit_)'];
+
+const FACTORY_EVENTS = [
+    'event DeployRemoteInterchainTokenApproval(address indexed minter, address indexed deployer, bytes32 indexed tokenId, string destinationChain, bytes destinationMinter)',
+    'event RevokedDeployRemoteInterchainTokenApproval(address indexed minter, address indexed deployer, bytes32 indexed tokenId, string destinationChain)',
+];
+
+// Emitted by every contract with roles, i.e. the service, token managers and interchain tokens
+const ROLES_EVENTS = [
+    'event RolesProposed(address indexed fromAccount, address indexed toAccount, uint256 accountRoles)',
+    'event RolesAdded(address indexed account, uint256 accountRoles)',
+    'event RolesRemoved(address indexed account, uint256 accountRoles)',
+];
+
+const eventInterface = new Interface([...ITS_EVENTS, ...TOKEN_MANAGER_EVENTS, ...FACTORY_EVENTS, ...ROLES_EVENTS]);
+
+function getEventTopic(name) {
+    return eventInterface.getEventTopic(name);
+}
+
+// Returns null for logs that aren't ITS events, so receipts with unrelated logs can be parsed as a whole
+function parseItsLog(log) {
+    let description;
+
+    try {
+        description = eventInterface.parseLog(log);
+    } catch {
+        return null;
+    }
+
+    const { name, eventFragment, args } = description;
+    // Trailing underscores only avoid shadowing in solidity, e.g. `flowLimit_`
+    const parsedArgs = Object.fromEntries(eventFragment.inputs.map(({ name }, i) => [name.replace(/_$/, ''), args[i]]));
+
+    // Only the raw params are kept if they are not `(bytes operator, address token)`, e.g. of custom token manager deployers
+    if (name === 'TokenManagerDeployed') {
+        try {
+            Object.assign(parsedArgs, decodeTokenManagerParams(parsedArgs.params));
+        } catch {}
+    }
+
+    return {
+        name,
+        address: log.address,
+        blockNumber: log.blockNumber,
+        transactionHash: log.transactionHash,
+        logIndex: log.logIndex,
+        args: parsedArgs,
+    };
+}
+
+function parseItsLogs(logs) {
+    return logs.map(parseItsLog).filter(Boolean);
+}
+
+function parseItsReceipt(receipt) {
+    return parseItsLogs(receipt.logs);
+}
+
+// Queries a block range for ITS events, optionally restricted to an emitter address and a list of event names.
+// The range is queried in chunks of `chunkSize` blocks, so `fromBlock` should be the deployment block of the emitter when it is known.
+async function getItsEvents(
+    provider,
+    { address, fromBlock = 0, toBlock = 'latest', eventNames, chunkSize = DEFAULT_BLOCK_CHUNK_SIZE } = {},
+) {
+    if (!Number.isInteger(chunkSize) || chunkSize <= 0) throw new Error(`Invalid block chunk size ${chunkSize}`);
+
+    const names = eventNames || Object.values(eventInterface.events).map(({ name }) => name);
+    const topics = [names.map(getEventTopic)];
+    const lastBlock = toBlock === 'latest' ? await provider.getBlockNumber() : toBlock;
+    const logs = [];
+
+    for (let start = fromBlock; start <= lastBlock; start += chunkSize) {
+        const end = Math.min(start + chunkSize - 1, lastBlock);
+        logs.push(...(await provider.getLogs({ address, fromBlock: start, toBlock: end, topics })));
+    }
+
+    return parseItsLogs(logs);
+}
+
+module.exports = {
+    DEFAULT_BLOCK_CHUNK_SIZE,
+    eventInterface,
+    parseItsLog,
+    parseItsLogs,
+    parseItsReceipt,
+    getItsEvents,
+};
@@ -0,0 +1,120 @@
+'use strict';
+
+const { ethers } = require('hardhat');
+const {
+    Contract,
+    constants: { AddressZero },
+    utils: { keccak256 },
+} = ethers;
+const { ITS_HUB_CHAIN, MESSAGE_TYPE_INTERCHAIN_TRANSFER } = require('./constants');
+const { decodeItsPayload } = require('./encoding');
+
+const TOKEN_ABI = [
+    'function approve(address spender, uint256 amount) returns (bool)',
+    'function balanceOf(address account) view returns (uint256)',
+];
+
+const isInterchainTransfer = ({ payload }) => decodeItsPayload(payload).message.messageType === MESSAGE_TYPE_INTERCHAIN_TRANSFER;
+
+// Stand-in for an express relayer on a local network, which fronts the tokens of interchain transfers on the destination chain
+// before their message is executed, and expects ITS to repay it once the message is executed.
+function createExpressRelayer(network, expressExecutor) {
+    const { chains, itsHubAddress } = network;
+    const expressed = new Map();
+    const listeners = new Map();
+
+    const getService = (route) => chains[route.destinationChain].service.connect(expressExecutor);
+
+    const getExpressExecutor = (route) =>
+        getService(route).getExpressExecutor(route.commandId, ITS_HUB_CHAIN, itsHubAddress, keccak256(route.payload));
+
+    async function getToken(route) {
+        const { tokenId } = decodeItsPayload(route.payload).message;
+
+        return new Contract(await getService(route).registeredTokenAddress(tokenId), TOKEN_ABI, expressExecutor);
+    }
+
+    // ITS only accepts interchain transfers to be expressed, other messages revert with `InvalidExpressMessageType`
+    async function expressExecute(route, gasOptions) {
+        const service = getService(route);
+
+        if (isInterchainTransfer(route)) {
+            const token = await getToken(route);
+
+            await token.approve(service.address, decodeItsPayload(route.payload).message.amount).then((tx) => tx.wait());
+        }
+
+        // ethers rejects an explicit undefined overrides argument, so it is only passed when given
+        return service.expressExecute(route.commandId, ITS_HUB_CHAIN, itsHubAddress, route.payload, ...(gasOptions ? [gasOptions] : []));
+    }
+
+    async function expressAndSettle(tx) {
+        const routes = (await network.route(tx)).filter(isInterchainTransfer);
+        const expresses = [];
+
+        for (const route of routes) {
+            const receipt = await expressExecute(route).then((tx) => tx.wait());
+
+            if ((await getExpressExecutor(route)) !== expressExecutor.address) {
+                throw new Error(`Express executor was not recorded for command ${route.commandId}`);
+            }
+
+            const token = await getToken(route);
+            expresses.push({ route, receipt, token, balance: await token.balanceOf(expressExecutor.address) });
+        }
+
+        const deliveries = await network.relay(tx);
+
+        for (const { route, token, balance } of expresses) {
+            const { amount } = decodeItsPayload(route.payload).message;
+            const repaid = (await token.balanceOf(expressExecutor.address)).sub(balance);
+
+            if ((await getExpressExecutor(route)) !== AddressZero || !repaid.eq(amount)) {
+                throw new Error(`Express executor was repaid ${repaid} instead of ${amount} for command ${route.commandId}`);
+            }
+        }
+
+        return { expresses: expresses.map(({ route, receipt }) => ({ ...route, receipt })), deliveries };
+    }
+
+    // Expresses the interchain transfers of a transaction, relays it, and checks that the express executor got repaid
+    function expressRelay(tx) {
+        const key = tx.transactionHash || tx.hash;
+
+        if (!expressed.has(key)) expressed.set(key, expressAndSettle(tx));
+
+        return expressed.get(key);
+    }
+
+    // Failures of automatic express relays surface when awaiting `expressRelay` for the same transaction
+    function start(sourceChain) {
+        const { service } = chains[sourceChain];
+        if (listeners.has(sourceChain)) return;
+
+        const listener = (...args) => {
+            const event = args[args.length - 1];
+
+            event
+                .getTransactionReceipt()
+                .then(expressRelay)
+                .catch(() => {});
+        };
+
+        listeners.set(sourceChain, listener);
+        service.on('InterchainTransfer', listener);
+    }
+
+    function stop(sourceChain) {
+        const listener = listeners.get(sourceChain);
+        if (!listener) return;
+
+        chains[sourceChain].service.off('InterchainTransfer', listener);
+        listeners.delete(sourceChain);
+    }
+
+    return { expressExecute, expressRelay, start, stop };
+}
+
+module.exports = {
+    createExpressRelayer,
+};
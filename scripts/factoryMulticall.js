@@ -0,0 +1,127 @@
+'use strict';
+
+const {
+    BigNumber,
+    constants: { AddressZero },
+    utils: { Interface },
+} = require('ethers');
+const { getChainNameHash, canonicalInterchainTokenId } = require('./tokenId');
+const { quoteDeployRemoteInterchainToken } = require('./gasQuote');
+
+// Only the current overloads of the factory functions, so that they can be encoded by name
+const factoryInterface = new Interface([
+    'function deployInterchainToken(bytes32 salt, string name, string symbol, uint8 decimals, uint256 initialSupply, address minter) payable returns (bytes32 tokenId)',
+    'function deployRemoteInterchainToken(bytes32 salt, string destinationChain, uint256 gasValue) payable returns (bytes32 tokenId)',
+    'function deployRemoteInterchainTokenWithMinter(bytes32 salt, address minter, string destinationChain, bytes destinationMinter, uint256 gasValue) payable returns (bytes32 tokenId)',
+    'function registerCanonicalInterchainToken(address tokenAddress) payable returns (bytes32 tokenId)',
+    'function deployRemoteCanonicalInterchainToken(address originalTokenAddress, string destinationChain, uint256 gasValue) payable returns (bytes32 tokenId)',
+    'function registerCustomToken(bytes32 salt, address tokenAddress, uint8 tokenManagerType, address operator) payable returns (bytes32 tokenId)',
+    'function linkToken(bytes32 salt, string destinationChain, bytes destinationTokenAddress, uint8 tokenManagerType, bytes linkParams, uint256 gasValue) payable returns (bytes32 tokenId)',
+    'function multicall(bytes[] data) payable returns (bytes[] results)',
+]);
+
+// Maps the parameters of each step to the arguments of the factory function
+const FACTORY_CALLS = {
+    deployInterchainToken: ({ salt, name, symbol, decimals, initialSupply = 0, minter = AddressZero }) => [
+        salt,
+        name,
+        symbol,
+        decimals,
+        initialSupply,
+        minter,
+    ],
+    deployRemoteInterchainToken: ({ salt, destinationChain, gasValue }) => [salt, destinationChain, gasValue],
+    deployRemoteInterchainTokenWithMinter: ({ salt, minter, destinationChain, destinationMinter = '0x', gasValue }) => [
+        salt,
+        minter,
+        destinationChain,
+        destinationMinter,
+        gasValue,
+    ],
+    registerCanonicalInterchainToken: ({ tokenAddress }) => [tokenAddress],
+    deployRemoteCanonicalInterchainToken: ({ tokenAddress, destinationChain, gasValue }) => [tokenAddress, destinationChain, gasValue],
+    registerCustomToken: ({ salt, tokenAddress, tokenManagerType, operator = AddressZero }) => [
+        salt,
+        tokenAddress,
+        tokenManagerType,
+        operator,
+    ],
+    linkToken: ({ salt, destinationChain, destinationTokenAddress, tokenManagerType, linkParams = '0x', gasValue }) => [
+        salt,
+        destinationChain,
+        destinationTokenAddress,
+        tokenManagerType,
+        linkParams,
+        gasValue,
+    ],
+};
+
+// Encodes the steps as a single factory `multicall`. The calls are delegated, so every call forwards its `gasValue` out of the
+// `msg.value` of the multicall, which therefore has to be the sum of all gas values.
+function composeFactoryMulticall(steps) {
+    const calls = steps.map(({ method, ...params }) => {
+        if (!FACTORY_CALLS[method]) throw new Error(`Unsupported factory method ${method}`);
+
+        const gasValue = BigNumber.from(params.gasValue || 0);
+        const args = FACTORY_CALLS[method]({ ...params, gasValue });
+
+        return { method, args, gasValue, data: factoryInterface.encodeFunctionData(method, args) };
+    });
+
+    return {
+        calls,
+        data: factoryInterface.encodeFunctionData('multicall', [calls.map(({ data }) => data)]),
+        value: calls.reduce((total, { gasValue }) => total.add(gasValue), BigNumber.from(0)),
+    };
+}
+
+// Registers a canonical token and deploys it to every chain of `gasValues`, which maps destination chains to their gas value
+function planCanonicalDeployment(tokenAddress, gasValues) {
+    return [
+        { method: 'registerCanonicalInterchainToken', tokenAddress },
+        ...Object.entries(gasValues).map(([destinationChain, gasValue]) => ({
+            method: 'deployRemoteCanonicalInterchainToken',
+            tokenAddress,
+            destinationChain,
+            gasValue,
+        })),
+    ];
+}
+
+// Deploys an interchain token and then deploys it to every chain of `gasValues`, without a minter on the remote chains
+function planInterchainTokenDeployment(token, gasValues) {
+    return [
+        { method: 'deployInterchainToken', ...token },
+        ...Object.entries(gasValues).map(([destinationChain, gasValue]) => ({
+            method: 'deployRemoteInterchainToken',
+            salt: token.salt,
+            destinationChain,
+            gasValue,
+        })),
+    ];
+}
+
+// Quotes the gas values of deploying a canonical token to each destination chain, with the metadata that the factory reads from the token
+async function quoteCanonicalDeployment(feeSource, { sourceChain, tokenAddress, name, symbol, decimals }, destinationChains, options) {
+    const tokenId = canonicalInterchainTokenId(getChainNameHash(sourceChain), tokenAddress);
+    const gasValues = {};
+
+    for (const destinationChain of destinationChains) {
+        const { value } = await quoteDeployRemoteInterchainToken(
+            feeSource,
+            { tokenId, sourceChain, destinationChain, name, symbol, decimals },
+            options,
+        );
+        gasValues[destinationChain] = value;
+    }
+
+    return gasValues;
+}
+
+module.exports = {
+    factoryInterface,
+    composeFactoryMulticall,
+    planCanonicalDeployment,
+    planInterchainTokenDeployment,
+    quoteCanonicalDeployment,
+};
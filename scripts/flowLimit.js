@@ -0,0 +1,172 @@
+'use strict';
+
+const {
+    BigNumber,
+    Contract,
+    constants: { AddressZero, MaxUint256, Zero },
+    utils: { defaultAbiCoder, keccak256, toUtf8Bytes },
+} = require('ethers');
+const { contractError } = require('./errors');
+
+const EPOCH_TIME = 6 * 60 * 60;
+
+// Epochs whose storage slots are read at the same time, each of them takes two `eth_getStorageAt` calls
+const FLOW_HISTORY_BATCH_SIZE = 25;
+
+const PREFIX_FLOW_OUT_AMOUNT = keccak256(toUtf8Bytes('flow-out-amount'));
+const PREFIX_FLOW_IN_AMOUNT = keccak256(toUtf8Bytes('flow-in-amount'));
+
+const FlowDirection = Object.freeze({
+    IN: 'in',
+    OUT: 'out',
+});
+
+const FLOW_LIMIT_ABI = [
+    'function flowLimit() view returns (uint256)',
+    'function flowInAmount() view returns (uint256)',
+    'function flowOutAmount() view returns (uint256)',
+];
+
+function getFlowEpoch(timestamp, epochTime = EPOCH_TIME) {
+    return Math.floor(Number(timestamp) / epochTime);
+}
+
+function getFlowOutSlot(epoch) {
+    return keccak256(defaultAbiCoder.encode(['uint256', 'uint256'], [PREFIX_FLOW_OUT_AMOUNT, epoch]));
+}
+
+function getFlowInSlot(epoch) {
+    return keccak256(defaultAbiCoder.encode(['uint256', 'uint256'], [PREFIX_FLOW_IN_AMOUNT, epoch]));
+}
+
+// Reads the flow amounts of past epochs straight from storage, since the token manager only exposes the current epoch.
+// Token managers are proxies, so this has to be the proxy address which holds the storage. Epochs are read in batches of
+// `batchSize`, so long ranges do not send every request to the RPC at once.
+async function getFlowHistory(
+    provider,
+    tokenManagerAddress,
+    fromEpoch,
+    toEpoch = fromEpoch,
+    blockTag = 'latest',
+    batchSize = FLOW_HISTORY_BATCH_SIZE,
+) {
+    if (toEpoch < fromEpoch) throw new Error(`Invalid epoch range ${fromEpoch}-${toEpoch}`);
+    if (!Number.isInteger(batchSize) || batchSize <= 0) throw new Error(`Invalid batch size ${batchSize}`);
+
+    const readEpoch = async (epoch) => {
+        const [flowInAmount, flowOutAmount] = await Promise.all(
+            [getFlowInSlot(epoch), getFlowOutSlot(epoch)].map((slot) => provider.getStorageAt(tokenManagerAddress, slot, blockTag)),
+        );
+
+        return { epoch, flowInAmount: BigNumber.from(flowInAmount), flowOutAmount: BigNumber.from(flowOutAmount) };
+    };
+
+    const history = [];
+
+    for (let start = fromEpoch; start <= toEpoch; start += batchSize) {
+        const epochs = Array.from({ length: Math.min(batchSize, toEpoch - start + 1) }, (_, i) => start + i);
+        history.push(...(await Promise.all(epochs.map(readEpoch))));
+    }
+
+    return history;
+}
+
+// Reads the flow state of a token manager for the epoch of the latest block
+async function getFlowState(provider, tokenManagerAddress) {
+    const tokenManager = new Contract(tokenManagerAddress, FLOW_LIMIT_ABI, provider);
+    const blockTag = await provider.getBlockNumber();
+
+    const [flowLimit, flowInAmount, flowOutAmount, { timestamp }] = await Promise.all([
+        tokenManager.flowLimit({ blockTag }),
+        tokenManager.flowInAmount({ blockTag }),
+        tokenManager.flowOutAmount({ blockTag }),
+        provider.getBlock(blockTag),
+    ]);
+
+    return { tokenManager: tokenManagerAddress, flowLimit, flowInAmount, flowOutAmount, timestamp };
+}
+
+// Mirrors `FlowLimit._addFlow`, returning the error that it would revert with instead of throwing
+function getFlowError(flowLimit, flow, reverseFlow, flowAmount, tokenManager) {
+    if (flowAmount.gt(flowLimit)) {
+        return contractError('FlowAmountExceededLimit', [flowLimit.toString(), flowAmount.toString(), tokenManager]);
+    }
+
+    if (flow.gt(MaxUint256.sub(flowAmount))) {
+        return contractError('FlowAmountOverflow', [flowAmount.toString(), flow.toString(), tokenManager]);
+    }
+
+    const newFlow = flow.add(flowAmount);
+    const netFlow = newFlow.sub(reverseFlow).abs();
+
+    if (netFlow.gt(flowLimit)) {
+        return contractError('FlowLimitExceeded', [flowLimit.toString(), netFlow.toString(), tokenManager]);
+    }
+
+    return null;
+}
+
+// The largest amount that can still flow in the direction of `flow` during the epoch, or null without a flow limit
+function getFlowHeadroom(flowLimit, flow, reverseFlow) {
+    if (flowLimit.isZero()) return null;
+
+    const headroom = [flowLimit, reverseFlow.add(flowLimit).sub(flow), MaxUint256.sub(flow)].reduce((min, value) =>
+        value.lt(min) ? value : min,
+    );
+
+    return headroom.isNegative() ? Zero : headroom;
+}
+
+// Simulates adding `amount` to the flow of a token manager at `timestamp`, flows are reset if it falls into a later epoch than the state.
+// The returned headroom is what can still flow in the same direction afterwards, until the epoch ends in `epochEndsIn` seconds.
+function simulateFlow(state, direction, amount, { timestamp = state.timestamp, epochTime = EPOCH_TIME } = {}) {
+    if (!Object.values(FlowDirection).includes(direction)) throw new Error(`Invalid flow direction ${direction}`);
+
+    const { tokenManager = AddressZero } = state;
+    const flowLimit = BigNumber.from(state.flowLimit);
+    const flowAmount = BigNumber.from(amount);
+    const epoch = timestamp === undefined ? null : getFlowEpoch(timestamp, epochTime);
+    const isNewEpoch = state.timestamp !== undefined && epoch !== getFlowEpoch(state.timestamp, epochTime);
+
+    let flowInAmount = isNewEpoch ? Zero : BigNumber.from(state.flowInAmount || 0);
+    let flowOutAmount = isNewEpoch ? Zero : BigNumber.from(state.flowOutAmount || 0);
+
+    const isInbound = direction === FlowDirection.IN;
+    const [flow, reverseFlow] = isInbound ? [flowInAmount, flowOutAmount] : [flowOutAmount, flowInAmount];
+
+    // A zero flow limit disables the flow accounting entirely
+    const error = flowLimit.isZero() ? null : getFlowError(flowLimit, flow, reverseFlow, flowAmount, tokenManager);
+
+    if (!error && !flowLimit.isZero()) {
+        if (isInbound) {
+            flowInAmount = flowInAmount.add(flowAmount);
+        } else {
+            flowOutAmount = flowOutAmount.add(flowAmount);
+        }
+    }
+
+    const [newFlow, newReverseFlow] = isInbound ? [flowInAmount, flowOutAmount] : [flowOutAmount, flowInAmount];
+
+    return {
+        success: !error,
+        error,
+        epoch,
+        epochEndsIn: epoch === null ? null : (epoch + 1) * epochTime - Number(timestamp),
+        flowInAmount,
+        flowOutAmount,
+        headroom: getFlowHeadroom(flowLimit, newFlow, newReverseFlow),
+    };
+}
+
+module.exports = {
+    EPOCH_TIME,
+    FLOW_HISTORY_BATCH_SIZE,
+    FlowDirection,
+    getFlowEpoch,
+    getFlowState,
+    getFlowInSlot,
+    getFlowOutSlot,
+    getFlowHistory,
+    getFlowHeadroom,
+    simulateFlow,
+};
@@ -0,0 +1,190 @@
+'use strict';
+
+const {
+    BigNumber,
+    Contract,
+    utils: { arrayify, hexDataLength },
+} = require('ethers');
+const {
+    MESSAGE_TYPE_INTERCHAIN_TRANSFER,
+    MESSAGE_TYPE_DEPLOY_INTERCHAIN_TOKEN,
+    MESSAGE_TYPE_LINK_TOKEN,
+    ITS_HUB_CHAIN,
+} = require('./constants');
+const {
+    encodeInterchainTransferMessage,
+    encodeDeployInterchainTokenMessage,
+    encodeLinkTokenMessage,
+    encodeRegisterTokenMetadataMessage,
+    encodeSendHubMessage,
+    encodeReceiveHubMessage,
+    decodeItsPayload,
+} = require('./encoding');
+
+// Default gas limits for executing each message type on the destination ITS, excluding the calldata of the payload.
+// They cover the gas used by `execute` on a local network with a margin, which test/LocalNetwork.js checks against the
+// receipt of each message type. Chains with different gas costs can override them per message type with `chainGasLimits`.
+const EXECUTION_GAS_LIMITS = Object.freeze({
+    [MESSAGE_TYPE_INTERCHAIN_TRANSFER]: 150000,
+    [MESSAGE_TYPE_DEPLOY_INTERCHAIN_TOKEN]: 1200000,
+    [MESSAGE_TYPE_LINK_TOKEN]: 400000,
+});
+
+// Gas limit of the hop to the ITS Hub on Axelar, which every ITS message takes. The hub is not deployed locally so this
+// can't be measured in the tests, use `hubGasLimit` to override it.
+const HUB_GAS_LIMIT = 500000;
+
+// Gas for the `executeWithInterchainToken` call on the destination address of transfers that carry data. It depends on
+// the destination contract, use `callbackGasLimit` or `executionGasLimit` when its cost is known.
+const CALLBACK_GAS_LIMIT = 100000;
+
+const GAS_SERVICE_ABI = [
+    'function estimateGasFee(string destinationChain, string destinationAddress, bytes payload, uint256 executionGasLimit, bytes params) view returns (uint256)',
+];
+
+// Fee sources quote the gas fee of a contract call in the native token of the chain that pays for it, following
+// `IInterchainGasEstimation.estimateGasFee`. This one uses fixed gas info per destination chain, e.g. for tests and local networks.
+function createStaticFeeSource(gasInfo) {
+    async function estimateGasFee(destinationChain, _destinationAddress, _payload, executionGasLimit) {
+        const info = gasInfo[destinationChain];
+        if (!info) throw new Error(`No gas info for chain ${destinationChain}`);
+
+        const { axelarBaseFee = 0, relativeGasPrice = 0 } = info;
+
+        return BigNumber.from(relativeGasPrice).mul(executionGasLimit).add(axelarBaseFee);
+    }
+
+    return { estimateGasFee };
+}
+
+// Quotes with the on-chain gas estimation of the gas service on the source chain
+function createGasServiceFeeSource(gasServiceAddress, provider) {
+    const gasService = new Contract(gasServiceAddress, GAS_SERVICE_ABI, provider);
+
+    function estimateGasFee(destinationChain, destinationAddress, payload, executionGasLimit) {
+        return gasService.estimateGasFee(destinationChain, destinationAddress, payload, executionGasLimit, '0x');
+    }
+
+    return { estimateGasFee };
+}
+
+// Gas for the calldata of a payload as charged by the EVM, 16 per non-zero byte and 4 per zero byte
+function getCalldataGas(payload) {
+    return arrayify(payload).reduce((gas, byte) => gas + (byte === 0 ? 4 : 16), 0);
+}
+
+// Estimates the gas to execute an ITS message, as delivered by the hub, on the destination chain.
+// `executionGasLimits` overrides the defaults of `EXECUTION_GAS_LIMITS` by message type.
+function getExecutionGasLimit(payload, { callbackGasLimit = CALLBACK_GAS_LIMIT, executionGasLimits = {} } = {}) {
+    const { message } = decodeItsPayload(payload);
+    const gasLimits = { ...EXECUTION_GAS_LIMITS, ...executionGasLimits };
+    let gasLimit = gasLimits[message.messageType] + getCalldataGas(payload);
+
+    if (message.messageType === MESSAGE_TYPE_INTERCHAIN_TRANSFER && hexDataLength(message.data) > 0) {
+        gasLimit += callbackGasLimit;
+    }
+
+    return gasLimit;
+}
+
+async function quoteHops(feeSource, hops) {
+    const quoted = [];
+
+    for (const hop of hops) {
+        const fee = BigNumber.from(await feeSource.estimateGasFee(hop.destinationChain, hop.destinationAddress, hop.payload, hop.gasLimit));
+        quoted.push({ ...hop, fee });
+    }
+
+    return {
+        hops: quoted,
+        value: quoted.reduce((total, { fee }) => total.add(fee), BigNumber.from(0)),
+    };
+}
+
+// Quotes the gas value of an ITS message from `sourceChain` to `destinationChain`, which is routed through the ITS Hub.
+// Both hops are paid for on the source chain, the returned `value` has to be passed as `gasValue` and attached as `msg.value`.
+// `chainGasLimits` maps destination chains to the gas limits of each message type that differ from `EXECUTION_GAS_LIMITS`.
+// `executionGasLimit` overrides the estimate for the destination chain, e.g. for transfers that call a contract with a known gas cost.
+function quoteMessage(feeSource, sourceChain, destinationChain, message, options = {}) {
+    const { itsHubAddress = '', destinationAddress = '', hubGasLimit = HUB_GAS_LIMIT, callbackGasLimit, chainGasLimits = {} } = options;
+    const { payload } = encodeSendHubMessage(destinationChain, message);
+    const deliveredPayload = encodeReceiveHubMessage(sourceChain, message).payload;
+    const {
+        executionGasLimit = getExecutionGasLimit(deliveredPayload, {
+            callbackGasLimit,
+            executionGasLimits: chainGasLimits[destinationChain],
+        }),
+    } = options;
+
+    return quoteHops(feeSource, [
+        { sourceChain, destinationChain: ITS_HUB_CHAIN, destinationAddress: itsHubAddress, payload, gasLimit: hubGasLimit },
+        {
+            sourceChain: ITS_HUB_CHAIN,
+            destinationChain,
+            destinationAddress,
+            payload: deliveredPayload,
+            gasLimit: executionGasLimit,
+        },
+    ]);
+}
+
+// `InterchainTokenService.interchainTransfer` and `callContractWithInterchainToken`, and `interchainTransfer` of the token.
+// `data` is the data of the transfer message, i.e. the metadata without its version prefix.
+function quoteInterchainTransfer(feeSource, transfer, options) {
+    const { tokenId, sourceChain, destinationChain, sourceAddress, destinationAddress, amount, data = '0x' } = transfer;
+    const message = encodeInterchainTransferMessage(tokenId, sourceAddress, destinationAddress, amount, data);
+
+    return quoteMessage(feeSource, sourceChain, destinationChain, message, options);
+}
+
+// Remote deployments of `InterchainTokenService.deployInterchainToken`, and the factory's `deployRemoteInterchainToken`,
+// `deployRemoteInterchainTokenWithMinter` and `deployRemoteCanonicalInterchainToken`
+function quoteDeployRemoteInterchainToken(feeSource, deployment, options) {
+    const { tokenId, sourceChain, destinationChain, name, symbol, decimals, minter = '0x' } = deployment;
+    const message = encodeDeployInterchainTokenMessage(tokenId, name, symbol, decimals, minter);
+
+    return quoteMessage(feeSource, sourceChain, destinationChain, message, options);
+}
+
+// `InterchainTokenService.linkToken` and `InterchainTokenFactory.linkToken`
+function quoteLinkToken(feeSource, link, options) {
+    const {
+        tokenId,
+        sourceChain,
+        destinationChain,
+        tokenManagerType,
+        sourceTokenAddress,
+        destinationTokenAddress,
+        linkParams = '0x',
+    } = link;
+    const message = encodeLinkTokenMessage(tokenId, tokenManagerType, sourceTokenAddress, destinationTokenAddress, linkParams);
+
+    return quoteMessage(feeSource, sourceChain, destinationChain, message, options);
+}
+
+// `InterchainTokenService.registerTokenMetadata`, the message is consumed by the hub so there is no hop to another chain
+function quoteRegisterTokenMetadata(
+    feeSource,
+    { sourceChain, tokenAddress, decimals },
+    { itsHubAddress = '', hubGasLimit = HUB_GAS_LIMIT } = {},
+) {
+    const { payload } = encodeRegisterTokenMetadataMessage(tokenAddress, decimals);
+
+    return quoteHops(feeSource, [
+        { sourceChain, destinationChain: ITS_HUB_CHAIN, destinationAddress: itsHubAddress, payload, gasLimit: hubGasLimit },
+    ]);
+}
+
+module.exports = {
+    EXECUTION_GAS_LIMITS,
+    HUB_GAS_LIMIT,
+    CALLBACK_GAS_LIMIT,
+    createStaticFeeSource,
+    createGasServiceFeeSource,
+    getExecutionGasLimit,
+    quoteMessage,
+    quoteInterchainTransfer,
+    quoteDeployRemoteInterchainToken,
+    quoteLinkToken,
+    quoteRegisterTokenMetadata,
+};
@@ -0,0 +1,120 @@
+'use strict';
+
+const {
+    utils: { Interface, defaultAbiCoder, keccak256 },
+} = require('ethers');
+
+// Commands of `AxelarServiceGovernance`, only the time lock commands are accepted by `InterchainGovernance`
+const GovernanceCommand = Object.freeze({
+    SCHEDULE_TIME_LOCK_PROPOSAL: 0,
+    CANCEL_TIME_LOCK_PROPOSAL: 1,
+    APPROVE_OPERATOR_PROPOSAL: 2,
+    CANCEL_OPERATOR_APPROVAL: 3,
+});
+
+const COMMAND_DESCRIPTIONS = {
+    [GovernanceCommand.SCHEDULE_TIME_LOCK_PROPOSAL]: 'Schedule time lock proposal',
+    [GovernanceCommand.CANCEL_TIME_LOCK_PROPOSAL]: 'Cancel time lock proposal',
+    [GovernanceCommand.APPROVE_OPERATOR_PROPOSAL]: 'Approve operator proposal',
+    [GovernanceCommand.CANCEL_OPERATOR_APPROVAL]: 'Cancel operator approval',
+};
+
+// Admin functions of InterchainTokenService that are called by its owner, i.e. governance
+const governanceInterface = new Interface([
+    'function upgrade(address newImplementation, bytes32 newImplementationCodeHash, bytes params)',
+    'function setTrustedChain(string chainName)',
+    'function removeTrustedChain(string chainName)',
+    'function setPauseStatus(bool paused)',
+    'function migrateInterchainToken(bytes32 tokenId)',
+]);
+
+function getProposalHash(target, calldata, nativeValue) {
+    return keccak256(defaultAbiCoder.encode(['address', 'bytes', 'uint256'], [target, calldata, nativeValue]));
+}
+
+function encodeGovernancePayload(command, target, calldata, nativeValue, eta) {
+    return defaultAbiCoder.encode(['uint256', 'address', 'bytes', 'uint256', 'uint256'], [command, target, calldata, nativeValue, eta]);
+}
+
+function getPayloadAndProposalHash(command, target, nativeValue, calldata, eta = 0) {
+    return [encodeGovernancePayload(command, target, calldata, nativeValue, eta), getProposalHash(target, calldata, nativeValue), eta];
+}
+
+// The earliest eta for a time lock proposal from the latest block, governance raises earlier etas to its minimum time delay anyway
+async function getProposalEta(provider, timeDelay) {
+    const { timestamp } = await provider.getBlock('latest');
+
+    return timestamp + timeDelay;
+}
+
+function formatEta(command, eta) {
+    if (command !== GovernanceCommand.SCHEDULE_TIME_LOCK_PROPOSAL) return 'n/a';
+    if (!eta) return 'minimum time delay from execution';
+
+    return `${eta} (${new Date(eta * 1000).toISOString()})`;
+}
+
+function formatCall(calldata) {
+    const { name, functionFragment, args } = governanceInterface.parseTransaction({ data: calldata });
+    const formattedArgs = functionFragment.inputs.map(({ name }, i) => `${name}: ${JSON.stringify(args[i])}`);
+
+    return `${name}(${formattedArgs.join(', ')})`;
+}
+
+// Builds the governance payload of calling `method` with `args` on the ITS at `target`, which has to be owned by governance.
+// The summary lists everything that reviewers need to check before the proposal is submitted.
+function createProposal(target, method, args, { command = GovernanceCommand.SCHEDULE_TIME_LOCK_PROPOSAL, eta = 0, nativeValue = 0 } = {}) {
+    if (!COMMAND_DESCRIPTIONS[command]) throw new Error(`Invalid governance command ${command}`);
+
+    const calldata = governanceInterface.encodeFunctionData(method, args);
+    const [payload, proposalHash] = getPayloadAndProposalHash(command, target, nativeValue, calldata, eta);
+
+    const summary = [
+        `${COMMAND_DESCRIPTIONS[command]} on ${target}`,
+        `Call: ${formatCall(calldata)}`,
+        `Native value: ${nativeValue.toString()}`,
+        `Eta: ${formatEta(command, eta)}`,
+        `Proposal hash: ${proposalHash}`,
+    ].join('\n');
+
+    return { command, target, calldata, nativeValue, eta, payload, proposalHash, summary };
+}
+
+// node scripts/governance.js <target> <method> [args...], with the COMMAND, ETA and NATIVE_VALUE options set in the environment.
+// Arguments are parsed as JSON where possible, e.g. `true` for `setPauseStatus`, and are passed as strings otherwise.
+function main() {
+    const [target, method, ...rawArgs] = process.argv.slice(2);
+    if (!target || !method) throw new Error('Usage: node scripts/governance.js <target> <method> [args...]');
+
+    const { COMMAND = GovernanceCommand.SCHEDULE_TIME_LOCK_PROPOSAL, ETA = 0, NATIVE_VALUE = 0 } = process.env;
+    const args = rawArgs.map((arg) => {
+        try {
+            return JSON.parse(arg);
+        } catch {
+            return arg;
+        }
+    });
+
+    const { payload, proposalHash, eta, summary } = createProposal(target, method, args, {
+        command: Number(COMMAND),
+        eta: Number(ETA),
+        nativeValue: NATIVE_VALUE,
+    });
+
+    console.log(summary);
+    console.log(JSON.stringify({ payload, proposalHash, eta }, null, 2));
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    GovernanceCommand,
+    governanceInterface,
+    getProposalHash,
+    encodeGovernancePayload,
+    getPayloadAndProposalHash,
+    getProposalEta,
+    createProposal,
+};
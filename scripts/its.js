@@ -0,0 +1,333 @@
+#!/usr/bin/env node
+'use strict';
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const {
+    BigNumber,
+    Contract,
+    Wallet,
+    errors,
+    providers: { JsonRpcProvider },
+    utils: { Interface, isAddress },
+} = require('ethers');
+const { TokenManagerType } = require('./constants');
+const { encodeMetadata } = require('./encoding');
+const { parseItsReceipt } = require('./events');
+const { getFlowState } = require('./flowLimit');
+const { factoryInterface } = require('./factoryMulticall');
+const { getAccountRoles } = require('./roles');
+
+const serviceInterface = new Interface([
+    'function interchainTransfer(bytes32 tokenId, string destinationChain, bytes destinationAddress, uint256 amount, bytes metadata, uint256 gasValue) payable',
+    'function tokenManagerAddress(bytes32 tokenId) view returns (address)',
+]);
+
+const TOKEN_MANAGER_ABI = [
+    'function getImplementationTypeAndTokenAddress() view returns (uint256, address)',
+    'function flowLimit() view returns (uint256)',
+    'function setFlowLimit(uint256 flowLimit)',
+];
+
+const TOKEN_ABI = [
+    'function name() view returns (string)',
+    'function symbol() view returns (string)',
+    'function decimals() view returns (uint8)',
+    'function allowance(address owner, address spender) view returns (uint256)',
+    'function approve(address spender, uint256 amount) returns (bool)',
+];
+
+// The service takes the tokens of these token manager types with `transferFrom` or `burnFrom`, which needs an allowance
+const ALLOWANCE_TOKEN_MANAGER_TYPES = [TokenManagerType.MINT_BURN_FROM, TokenManagerType.LOCK_UNLOCK, TokenManagerType.LOCK_UNLOCK_FEE];
+
+const OPTIONS = {
+    config: { type: 'string' },
+    'dry-run': { type: 'boolean' },
+    salt: { type: 'string' },
+    name: { type: 'string' },
+    symbol: { type: 'string' },
+    decimals: { type: 'string' },
+    'initial-supply': { type: 'string' },
+    minter: { type: 'string' },
+    canonical: { type: 'string' },
+    'destination-chain': { type: 'string' },
+    'destination-token': { type: 'string' },
+    type: { type: 'string' },
+    'link-params': { type: 'string' },
+    data: { type: 'string' },
+    'gas-value': { type: 'string' },
+};
+
+const USAGE = `Usage: its <command> [options]
+
+Commands:
+  deploy-token --salt <salt> --name <name> --symbol <symbol> --decimals <decimals> [--initial-supply <amount>] [--minter <address>]
+  register-canonical <tokenAddress>
+  deploy-remote (--salt <salt> | --canonical <tokenAddress>) --destination-chain <chain> [--gas-value <wei>]
+  link --salt <salt> --destination-chain <chain> --destination-token <address> --type <type> [--link-params <bytes>] [--gas-value <wei>]
+  approve <tokenId> <amount>
+  transfer <tokenId> <destinationChain> <destinationAddress> <amount> [--data <bytes>] [--gas-value <wei>]
+  token-info <tokenId>
+  flow-limit get <tokenId>
+  flow-limit set <tokenId> <flowLimit>
+  roles <tokenId> [account]
+
+The config file (--config or ITS_CONFIG) holds the rpc, privateKey, service and tokenFactory,
+which are overridden by ITS_RPC_URL, ITS_PRIVATE_KEY, ITS_SERVICE and ITS_TOKEN_FACTORY.
+With --dry-run, transactions are printed instead of sent.
+
+Transfers of MINT_BURN_FROM, LOCK_UNLOCK and LOCK_UNLOCK_FEE tokens need an allowance of the service, which approve sets.
+With a private key, transfer checks the allowance of the sender and fails if it does not cover the amount.`;
+
+function required(value, name) {
+    if (value === undefined) throw new Error(`Missing ${name}`);
+
+    return value;
+}
+
+function parseTokenManagerType(type) {
+    const value = type in TokenManagerType ? TokenManagerType[type] : Number(type);
+    if (!Object.values(TokenManagerType).includes(value)) throw new Error(`Invalid token manager type ${type}`);
+
+    return value;
+}
+
+// BigNumbers are printed as decimal strings instead of their JSON representation
+function format(value) {
+    return JSON.stringify(value, (_, v) => (v && v.type === 'BigNumber' ? BigNumber.from(v.hex).toString() : v), 2);
+}
+
+function loadConfig(configPath, env) {
+    const config = configPath ? JSON.parse(fs.readFileSync(configPath, 'utf8')) : {};
+
+    return {
+        rpc: env.ITS_RPC_URL || config.rpc,
+        privateKey: env.ITS_PRIVATE_KEY || config.privateKey,
+        service: env.ITS_SERVICE || config.service,
+        tokenFactory: env.ITS_TOKEN_FACTORY || config.tokenFactory,
+    };
+}
+
+// Write commands return the transaction to send, read commands return the result to print
+const COMMANDS = {
+    'deploy-token'({ config, signer }, _, options) {
+        const minter = options.minter || (signer ? signer.address : undefined);
+
+        return {
+            to: required(config.tokenFactory, 'token factory address'),
+            data: factoryInterface.encodeFunctionData('deployInterchainToken', [
+                required(options.salt, '--salt'),
+                required(options.name, '--name'),
+                required(options.symbol, '--symbol'),
+                required(options.decimals, '--decimals'),
+                options['initial-supply'] || 0,
+                required(minter, '--minter'),
+            ]),
+        };
+    },
+
+    'register-canonical'({ config }, [tokenAddress]) {
+        return {
+            to: required(config.tokenFactory, 'token factory address'),
+            data: factoryInterface.encodeFunctionData('registerCanonicalInterchainToken', [required(tokenAddress, 'token address')]),
+        };
+    },
+
+    'deploy-remote'({ config }, _, options) {
+        const destinationChain = required(options['destination-chain'], '--destination-chain');
+        const gasValue = options['gas-value'] || 0;
+        const data = options.canonical
+            ? factoryInterface.encodeFunctionData('deployRemoteCanonicalInterchainToken', [options.canonical, destinationChain, gasValue])
+            : factoryInterface.encodeFunctionData('deployRemoteInterchainToken', [
+                  required(options.salt, '--salt or --canonical'),
+                  destinationChain,
+                  gasValue,
+              ]);
+
+        return { to: required(config.tokenFactory, 'token factory address'), data, value: gasValue };
+    },
+
+    link({ config }, _, options) {
+        const gasValue = options['gas-value'] || 0;
+
+        return {
+            to: required(config.tokenFactory, 'token factory address'),
+            data: factoryInterface.encodeFunctionData('linkToken', [
+                required(options.salt, '--salt'),
+                required(options['destination-chain'], '--destination-chain'),
+                required(options['destination-token'], '--destination-token'),
+                parseTokenManagerType(required(options.type, '--type')),
+                options['link-params'] || '0x',
+                gasValue,
+            ]),
+            value: gasValue,
+        };
+    },
+
+    async approve(context, [tokenId, amount]) {
+        const service = required(context.config.service, 'service address');
+        const { token } = await getToken(context, required(tokenId, 'token id'));
+
+        return { to: token.address, data: token.interface.encodeFunctionData('approve', [service, required(amount, 'amount')]) };
+    },
+
+    async transfer(context, [tokenId, destinationChain, destinationAddress, amount], options) {
+        const { config, signer } = context;
+        const gasValue = options['gas-value'] || 0;
+        const metadata = options.data ? encodeMetadata(options.data) : '0x';
+
+        // The sender is only known with a signer, otherwise the transfer reverts with `TakeTokenFailed` without an allowance
+        if (signer) await checkAllowance(context, required(tokenId, 'token id'), signer.address, required(amount, 'amount'));
+
+        return {
+            to: required(config.service, 'service address'),
+            data: serviceInterface.encodeFunctionData('interchainTransfer', [
+                required(tokenId, 'token id'),
+                required(destinationChain, 'destination chain'),
+                required(destinationAddress, 'destination address'),
+                required(amount, 'amount'),
+                metadata,
+                gasValue,
+            ]),
+            value: gasValue,
+        };
+    },
+
+    async 'token-info'(context, [tokenId]) {
+        const tokenManager = await getTokenManager(context, required(tokenId, 'token id'));
+        const [implementationType, tokenAddress] = await tokenManager.getImplementationTypeAndTokenAddress();
+        const token = new Contract(tokenAddress, TOKEN_ABI, context.provider);
+        const metadata = {};
+        const metadataErrors = {};
+
+        // Reverts and return values that cannot be decoded are reported per field, since tokens may lack e.g. a symbol, while any
+        // other error, e.g. of the RPC, fails the command instead of printing the metadata as missing
+        for (const field of ['name', 'symbol', 'decimals']) {
+            try {
+                metadata[field] = await token[field]();
+            } catch (error) {
+                if (error.code !== errors.CALL_EXCEPTION) throw error;
+
+                metadata[field] = null;
+                metadataErrors[field] = error.reason || error.message;
+            }
+        }
+
+        return {
+            tokenId,
+            tokenManager: tokenManager.address,
+            tokenManagerType: Object.keys(TokenManagerType).find((key) => implementationType.eq(TokenManagerType[key])),
+            tokenAddress,
+            ...metadata,
+            metadataErrors,
+            flowLimit: await tokenManager.flowLimit(),
+        };
+    },
+
+    async 'flow-limit'(context, [action, tokenId, flowLimit]) {
+        const tokenManager = await getTokenManager(context, required(tokenId, 'token id'));
+
+        if (action === 'get') return getFlowState(context.provider, tokenManager.address);
+        if (action !== 'set') throw new Error(`Invalid flow-limit action ${action}, expected get or set`);
+
+        return {
+            to: tokenManager.address,
+            data: tokenManager.interface.encodeFunctionData('setFlowLimit', [required(flowLimit, 'flow limit')]),
+        };
+    },
+
+    async roles(context, [tokenId, account = context.signer && context.signer.address]) {
+        if (!isAddress(required(account, 'account'))) throw new Error(`Invalid account ${account}`);
+
+        const service = required(context.config.service, 'service address');
+
+        return { account, ...(await getAccountRoles(context.provider, service, required(tokenId, 'token id'), account)) };
+    },
+};
+
+async function getTokenManager({ config, provider }, tokenId) {
+    const service = new Contract(required(config.service, 'service address'), serviceInterface, provider);
+    const address = await service.tokenManagerAddress(tokenId);
+
+    if ((await provider.getCode(address)) === '0x') throw new Error(`No token manager deployed for token id ${tokenId}`);
+
+    return new Contract(address, TOKEN_MANAGER_ABI, provider);
+}
+
+async function getToken(context, tokenId) {
+    const tokenManager = await getTokenManager(context, tokenId);
+    const [implementationType, tokenAddress] = await tokenManager.getImplementationTypeAndTokenAddress();
+
+    return { implementationType, token: new Contract(tokenAddress, TOKEN_ABI, context.provider) };
+}
+
+async function checkAllowance(context, tokenId, sender, amount) {
+    const { implementationType, token } = await getToken(context, tokenId);
+    if (!ALLOWANCE_TOKEN_MANAGER_TYPES.some((type) => implementationType.eq(type))) return;
+
+    const allowance = await token.allowance(sender, context.config.service);
+
+    if (allowance.lt(amount)) {
+        throw new Error(
+            `Allowance ${allowance} of the service for token ${token.address} is below ${amount}, run: its approve ${tokenId} ${amount}`,
+        );
+    }
+}
+
+// Runs a command line, the provider and signer can be passed in instead of being created from the config
+async function run(argv, { env = process.env, log = console.log, provider, signer } = {}) {
+    const { values: options, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    const [command, ...args] = positionals;
+
+    if (!COMMANDS[command]) {
+        log(USAGE);
+        if (command !== undefined) throw new Error(`Unknown command ${command}`);
+        return null;
+    }
+
+    const config = loadConfig(options.config || env.ITS_CONFIG, env);
+    provider = provider || (signer && signer.provider) || (config.rpc && new JsonRpcProvider(config.rpc));
+    signer = signer || (config.privateKey && provider ? new Wallet(config.privateKey, provider) : undefined);
+
+    const context = {
+        config,
+        signer,
+        get provider() {
+            return required(provider, 'RPC URL');
+        },
+    };
+    const result = await COMMANDS[command](context, args, options);
+
+    // Read commands return their result as-is
+    if (!result || result.data === undefined) {
+        log(format(result));
+        return result;
+    }
+
+    const tx = { to: result.to, data: result.data, value: BigNumber.from(result.value || 0) };
+
+    if (options['dry-run']) {
+        log(format(tx));
+        return tx;
+    }
+
+    const receipt = await required(signer, 'private key')
+        .sendTransaction(tx)
+        .then((response) => response.wait());
+    const events = parseItsReceipt(receipt).map(({ name, args }) => ({ name, args }));
+
+    log(format({ transactionHash: receipt.transactionHash, blockNumber: receipt.blockNumber, events }));
+
+    return receipt;
+}
+
+if (require.main === module) {
+    run(process.argv.slice(2)).catch((error) => {
+        console.error(error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    run,
+};
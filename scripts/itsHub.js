@@ -0,0 +1,145 @@
+'use strict';
+
+const {
+    BigNumber,
+    utils: { defaultAbiCoder, hexlify },
+} = require('ethers');
+const {
+    MESSAGE_TYPE_INTERCHAIN_TRANSFER,
+    MESSAGE_TYPE_DEPLOY_INTERCHAIN_TOKEN,
+    MESSAGE_TYPE_SEND_TO_HUB,
+    MESSAGE_TYPE_LINK_TOKEN,
+    MESSAGE_TYPE_REGISTER_TOKEN_METADATA,
+} = require('./constants');
+const { decodeItsPayload, encodeInterchainTransferMessage, encodeReceiveHubMessage } = require('./encoding');
+const { contractError } = require('./errors');
+const { scaleAmount } = require('./decimals');
+
+// In-process stand-in for the ITS Hub on Axelar, which applies the hub's checks to the messages routed between chains.
+// The supply of a token is only tracked on chains where the hub saw it being deployed without a minter, everywhere else it is untracked.
+function createItsHub() {
+    const chains = new Map();
+    const tokens = new Map();
+    const metadata = new Map();
+
+    const metadataKey = (chainName, tokenAddress) => `${chainName}:${hexlify(tokenAddress).toLowerCase()}`;
+
+    function registerChain(chainName, itsAddress) {
+        chains.set(chainName, itsAddress);
+    }
+
+    function getTokenInstance(tokenId, chainName) {
+        const instances = tokens.get(tokenId);
+
+        return (instances && instances.get(chainName)) || null;
+    }
+
+    function setTokenInstance(tokenId, chainName, instance) {
+        if (!tokens.has(tokenId)) tokens.set(tokenId, new Map());
+
+        tokens.get(tokenId).set(chainName, instance);
+    }
+
+    function getRegisteredTokenDecimals(chainName, tokenAddress) {
+        const decimals = metadata.get(metadataKey(chainName, tokenAddress));
+        if (decimals === undefined) throw contractError('TokenNotRegistered', [chainName, hexlify(tokenAddress)]);
+
+        return decimals;
+    }
+
+    function validateChain(chainName) {
+        if (!chains.has(chainName)) throw contractError('UntrustedChain', [chainName]);
+    }
+
+    function requireTokenInstance(tokenId, chainName) {
+        const instance = getTokenInstance(tokenId, chainName);
+        if (!instance) throw contractError('TokenNotDeployed', [tokenId, chainName]);
+
+        return instance;
+    }
+
+    function requireNoTokenInstance(tokenId, chainName) {
+        if (getTokenInstance(tokenId, chainName)) throw contractError('TokenAlreadyDeployed', [tokenId, chainName]);
+    }
+
+    // Amounts are scaled between the decimals of the token on each chain, and the supply is tracked in the units of each chain
+    function applyTransfer(sourceChain, destinationChain, { tokenId, sourceAddress, destinationAddress, amount, data }) {
+        const source = requireTokenInstance(tokenId, sourceChain);
+        const destination = requireTokenInstance(tokenId, destinationChain);
+        const { amount: scaledAmount } = scaleAmount(amount, source.decimals, destination.decimals);
+
+        if (source.supply !== null && source.supply.lt(amount)) throw contractError('InsufficientSupply', [tokenId, sourceChain]);
+
+        if (source.supply !== null) source.supply = source.supply.sub(amount);
+        if (destination.supply !== null) destination.supply = destination.supply.add(scaledAmount);
+
+        return encodeInterchainTransferMessage(tokenId, sourceAddress, destinationAddress, scaledAmount, data);
+    }
+
+    function applyDeployment(sourceChain, destinationChain, { tokenId, decimals, minter }) {
+        // Tokens that are deployed remotely for the first time originate from the source chain
+        if (!getTokenInstance(tokenId, sourceChain)) {
+            setTokenInstance(tokenId, sourceChain, { decimals, supply: null });
+        }
+
+        requireNoTokenInstance(tokenId, destinationChain);
+
+        // A minter can mint any amount on the destination chain, so its supply can't be tracked
+        setTokenInstance(tokenId, destinationChain, { decimals, supply: minter === '0x' ? BigNumber.from(0) : null });
+    }
+
+    function applyLink(sourceChain, destinationChain, { tokenId, sourceTokenAddress, destinationTokenAddress }) {
+        const sourceDecimals = getRegisteredTokenDecimals(sourceChain, sourceTokenAddress);
+        const destinationDecimals = getRegisteredTokenDecimals(destinationChain, destinationTokenAddress);
+
+        requireNoTokenInstance(tokenId, destinationChain);
+
+        if (!getTokenInstance(tokenId, sourceChain)) {
+            setTokenInstance(tokenId, sourceChain, { decimals: sourceDecimals, supply: null });
+        }
+
+        setTokenInstance(tokenId, destinationChain, { decimals: destinationDecimals, supply: null });
+    }
+
+    // Returns the message to deliver to the destination ITS, or null for messages that are consumed by the hub
+    function route(sourceChain, payload, sourceAddress = chains.get(sourceChain)) {
+        validateChain(sourceChain);
+
+        if (sourceAddress.toLowerCase() !== chains.get(sourceChain).toLowerCase())
+            throw contractError('UntrustedAddress', [sourceChain, sourceAddress]);
+
+        const decoded = decodeItsPayload(payload);
+
+        if (decoded.messageType === MESSAGE_TYPE_REGISTER_TOKEN_METADATA) {
+            metadata.set(metadataKey(sourceChain, decoded.tokenAddress), decoded.decimals);
+            return null;
+        }
+
+        if (decoded.messageType !== MESSAGE_TYPE_SEND_TO_HUB) throw contractError('InvalidMessageType', [String(decoded.messageType)]);
+
+        const { destinationChain, message } = decoded;
+        validateChain(destinationChain);
+
+        let [, , forwardedMessage] = defaultAbiCoder.decode(['uint256', 'string', 'bytes'], payload);
+
+        switch (message.messageType) {
+            case MESSAGE_TYPE_INTERCHAIN_TRANSFER:
+                forwardedMessage = applyTransfer(sourceChain, destinationChain, message);
+                break;
+            case MESSAGE_TYPE_DEPLOY_INTERCHAIN_TOKEN:
+                applyDeployment(sourceChain, destinationChain, message);
+                break;
+            case MESSAGE_TYPE_LINK_TOKEN:
+                applyLink(sourceChain, destinationChain, message);
+                break;
+        }
+
+        return { destinationChain, payload: encodeReceiveHubMessage(sourceChain, forwardedMessage).payload };
+    }
+
+    return { registerChain, getTokenInstance, route };
+}
+
+module.exports = {
+    createItsHub,
+};
@@ -0,0 +1,149 @@
+'use strict';
+
+const { ethers } = require('hardhat');
+const { defaultAbiCoder, keccak256 } = ethers.utils;
+const { deployAll } = require('./deploy');
+const { approveContractCall } = require('./utils');
+const { ITS_HUB_CHAIN } = require('./constants');
+const { createItsHub } = require('./itsHub');
+const { ITS_HUB_ADDRESS } = require('../test/constants');
+
+// Deploys ITS on each of the named chains, which all live on the network of `wallet`, and relays the messages between them.
+// Messages are relayed when awaiting `relay(tx)`, or automatically for every gateway `ContractCall` after `startRelayer()`.
+async function deployLocalNetwork(wallet, chainNames, { itsHubAddress = ITS_HUB_ADDRESS, hub = createItsHub() } = {}) {
+    const chains = {};
+
+    for (const chainName of chainNames) {
+        const trustedChains = chainNames.filter((name) => name !== chainName);
+
+        chains[chainName] = { chainName, ...(await deployAll(wallet, chainName, itsHubAddress, trustedChains)) };
+        hub.registerChain(chainName, chains[chainName].service.address);
+    }
+
+    const { gateway } = chains[chainNames[0]];
+    const contractCallTopic = gateway.interface.getEventTopic('ContractCall');
+    const routes = new Map();
+    const deliveries = new Map();
+    let queue = Promise.resolve();
+    let listener = null;
+
+    const getSourceChain = (log) =>
+        Object.values(chains).find(({ gateway }) => gateway.address === log.address && log.topics[0] === contractCallTopic);
+
+    // Command ids are derived from the source event, so that express executors know them before the message is approved
+    const getCommandId = (log) => keccak256(defaultAbiCoder.encode(['bytes32', 'uint256'], [log.transactionHash, log.logIndex]));
+
+    async function routeThroughHub(sourceChain, log) {
+        const { sender, destinationChain, destinationContractAddress, payload } = sourceChain.gateway.interface.parseLog(log).args;
+
+        // Only ITS messages to the hub are relayed
+        if (sender !== sourceChain.service.address || destinationChain !== ITS_HUB_CHAIN || destinationContractAddress !== itsHubAddress) {
+            return null;
+        }
+
+        const route = await hub.route(sourceChain.chainName, payload, sender);
+        if (!route) return null;
+
+        if (!chains[route.destinationChain]) throw new Error(`Unknown destination chain ${route.destinationChain}`);
+
+        return {
+            sourceChain: sourceChain.chainName,
+            destinationChain: route.destinationChain,
+            commandId: getCommandId(log),
+            payload: route.payload,
+        };
+    }
+
+    // The hub keeps track of token supplies, so each contract call is only routed once
+    function routeLog(sourceChain, log) {
+        const key = `${log.transactionHash}:${log.logIndex}`;
+
+        if (!routes.has(key)) routes.set(key, routeThroughHub(sourceChain, log));
+
+        return routes.get(key);
+    }
+
+    async function deliver(sourceChain, log) {
+        const route = await routeLog(sourceChain, log);
+        if (!route) return null;
+
+        const destination = chains[route.destinationChain];
+
+        await approveContractCall(
+            destination.gateway,
+            ITS_HUB_CHAIN,
+            itsHubAddress,
+            destination.service.address,
+            route.payload,
+            log.transactionHash,
+            log.logIndex,
+            route.commandId,
+        );
+        const receipt = await destination.service
+            .execute(route.commandId, ITS_HUB_CHAIN, itsHubAddress, route.payload)
+            .then((tx) => tx.wait());
+
+        return { ...route, receipt };
+    }
+
+    // Each contract call is only delivered once, and deliveries are sent one at a time to avoid nonce conflicts
+    function relayLog(sourceChain, log) {
+        const key = `${log.transactionHash}:${log.logIndex}`;
+
+        if (!deliveries.has(key)) {
+            const delivery = queue.then(() => deliver(sourceChain, log));
+            queue = delivery.catch(() => {});
+            deliveries.set(key, delivery);
+        }
+
+        return deliveries.get(key);
+    }
+
+    const mapContractCalls = async (tx, fn) => {
+        const receipt = typeof tx.wait === 'function' ? await tx.wait() : tx;
+
+        return Promise.all(
+            receipt.logs.map((log) => {
+                const sourceChain = getSourceChain(log);
+                return sourceChain ? fn(sourceChain, log) : null;
+            }),
+        );
+    };
+
+    // Routes the contract calls of a transaction through the hub without executing them on the destination chain
+    async function route(tx) {
+        const routed = await mapContractCalls(tx, routeLog);
+
+        return routed.filter(Boolean);
+    }
+
+    // Relays the contract calls of a transaction, and those of the executions they lead to
+    async function relay(tx) {
+        const relayed = await mapContractCalls(tx, relayLog);
+        const delivered = relayed.filter(Boolean);
+        const nested = await Promise.all(delivered.map(({ receipt }) => relay(receipt)));
+
+        return [...delivered, ...nested.flat()];
+    }
+
+    // Failures of automatic deliveries surface when awaiting `relay` for the same transaction
+    function startRelayer() {
+        if (listener) return;
+
+        listener = (log) => relay({ logs: [log] }).catch(() => {});
+        wallet.provider.on({ topics: [contractCallTopic] }, listener);
+    }
+
+    function stopRelayer() {
+        if (!listener) return;
+
+        wallet.provider.off({ topics: [contractCallTopic] }, listener);
+        listener = null;
+    }
+
+    return { chains, hub, itsHubAddress, route, relay, startRelayer, stopRelayer };
+}
+
+module.exports = {
+    deployLocalNetwork,
+};
@@ -0,0 +1,171 @@
+'use strict';
+
+const {
+    BigNumber,
+    Contract,
+    utils: { Interface, _TypedDataEncoder, splitSignature },
+} = require('ethers');
+const { encodeMetadata } = require('./encoding');
+
+// Default lifetime of a permit, from the latest block
+const DEFAULT_PERMIT_DURATION = 3600;
+
+const PERMIT_TYPES = {
+    Permit: [
+        { name: 'owner', type: 'address' },
+        { name: 'spender', type: 'address' },
+        { name: 'value', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' },
+    ],
+};
+
+const permitInterface = new Interface([
+    'function name() view returns (string)',
+    'function nonces(address owner) view returns (uint256)',
+    'function DOMAIN_SEPARATOR() view returns (bytes32)',
+    'function permit(address issuer, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)',
+    'function interchainTransferFrom(address sender, string destinationChain, bytes recipient, uint256 amount, bytes metadata) payable',
+]);
+
+const serviceInterface = new Interface([
+    'function interchainTransfer(bytes32 tokenId, string destinationChain, bytes destinationAddress, uint256 amount, bytes metadata, uint256 gasValue) payable',
+]);
+
+// Builds the EIP-712 domain of `ERC20Permit`, which is checked against the `DOMAIN_SEPARATOR` of the token
+async function getPermitDomain(provider, tokenAddress) {
+    const token = new Contract(tokenAddress, permitInterface, provider);
+    const [name, { chainId }, domainSeparator] = await Promise.all([token.name(), provider.getNetwork(), token.DOMAIN_SEPARATOR()]);
+    const domain = { name, version: '1', chainId, verifyingContract: tokenAddress };
+
+    if (_TypedDataEncoder.hashDomain(domain) !== domainSeparator) {
+        throw new Error(`Permit domain of ${tokenAddress} does not match its DOMAIN_SEPARATOR ${domainSeparator}`);
+    }
+
+    return domain;
+}
+
+async function getPermitDeadline(provider, duration = DEFAULT_PERMIT_DURATION) {
+    const { timestamp } = await provider.getBlock('latest');
+
+    return timestamp + duration;
+}
+
+// Signs a permit of `value` tokens for `spender` with the signer as the owner. The nonce is read from the token unless it is
+// given, e.g. to sign several permits ahead of time, and the deadline defaults to `DEFAULT_PERMIT_DURATION` from the latest block.
+// Signers without a provider can sign offline when the nonce, deadline and domain are all given.
+async function signPermit(signer, tokenAddress, { spender, value, nonce, deadline, domain }) {
+    const { provider } = signer;
+    const owner = await signer.getAddress();
+    const token = new Contract(tokenAddress, permitInterface, provider);
+
+    const message = {
+        owner,
+        spender,
+        value: BigNumber.from(value),
+        nonce: BigNumber.from(nonce === undefined ? await token.nonces(owner) : nonce),
+        deadline: BigNumber.from(deadline === undefined ? await getPermitDeadline(provider) : deadline),
+    };
+    const signature = await signer._signTypedData(domain || (await getPermitDomain(provider, tokenAddress)), PERMIT_TYPES, message);
+    const { v, r, s } = splitSignature(signature);
+
+    return { tokenAddress, ...message, v, r, s, signature };
+}
+
+function encodePermitCall({ tokenAddress, owner, spender, value, deadline, v, r, s }) {
+    return {
+        method: 'permit',
+        to: tokenAddress,
+        data: permitInterface.encodeFunctionData('permit', [owner, spender, value, deadline, v, r, s]),
+        value: BigNumber.from(0),
+    };
+}
+
+function checkPermitValue(permit, amount) {
+    if (permit.value.lt(amount)) throw new Error(`Permit value ${permit.value} does not cover the amount ${amount}`);
+}
+
+// Batches are ordered calls, which are sent one after the other by `sendPermitBatch`, or at once by wallets and relayers that
+// support batches. They are not atomic, so a failed transfer leaves the allowance of the permit in place.
+function createBatch(calls) {
+    return { calls, value: calls.reduce((total, { value }) => total.add(value), BigNumber.from(0)) };
+}
+
+// Permit and `interchainTransferFrom` of an interchain token, which have to be sent by the spender of the permit
+function composePermitAndInterchainTransferFrom(permit, { destinationChain, destinationAddress, amount, data, gasValue = 0 }) {
+    checkPermitValue(permit, amount);
+
+    const metadata = data ? encodeMetadata(data) : '0x';
+
+    return createBatch([
+        encodePermitCall(permit),
+        {
+            method: 'interchainTransferFrom',
+            to: permit.tokenAddress,
+            data: permitInterface.encodeFunctionData('interchainTransferFrom', [
+                permit.owner,
+                destinationChain,
+                destinationAddress,
+                amount,
+                metadata,
+            ]),
+            value: BigNumber.from(gasValue),
+        },
+    ]);
+}
+
+// Permit for the service and `InterchainTokenService.interchainTransfer`, which has to be sent by the owner of the permit.
+// Only token managers that take the tokens with `transferFrom` need the allowance, e.g. lock/unlock and mint/burn from.
+function composePermitAndInterchainTransfer(
+    serviceAddress,
+    permit,
+    { tokenId, destinationChain, destinationAddress, amount, data, gasValue = 0 },
+) {
+    if (permit.spender.toLowerCase() !== serviceAddress.toLowerCase()) {
+        throw new Error(`Permit spender ${permit.spender} is not the service ${serviceAddress}`);
+    }
+
+    checkPermitValue(permit, amount);
+
+    const metadata = data ? encodeMetadata(data) : '0x';
+
+    return createBatch([
+        encodePermitCall(permit),
+        {
+            method: 'interchainTransfer',
+            to: serviceAddress,
+            data: serviceInterface.encodeFunctionData('interchainTransfer', [
+                tokenId,
+                destinationChain,
+                destinationAddress,
+                amount,
+                metadata,
+                gasValue,
+            ]),
+            value: BigNumber.from(gasValue),
+        },
+    ]);
+}
+
+// Sends the calls of a batch in order, and waits for each of them before sending the next one
+async function sendPermitBatch(signer, { calls }) {
+    const receipts = [];
+
+    for (const { to, data, value } of calls) {
+        const tx = await signer.sendTransaction({ to, data, value });
+        receipts.push(await tx.wait());
+    }
+
+    return receipts;
+}
+
+module.exports = {
+    DEFAULT_PERMIT_DURATION,
+    PERMIT_TYPES,
+    getPermitDomain,
+    getPermitDeadline,
+    signPermit,
+    composePermitAndInterchainTransferFrom,
+    composePermitAndInterchainTransfer,
+    sendPermitBatch,
+};
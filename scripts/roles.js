@@ -0,0 +1,203 @@
+'use strict';
+
+const {
+    Contract,
+    constants: { AddressZero },
+    utils: { Interface, hexDataLength },
+} = require('ethers');
+const { Roles } = require('./constants');
+const { getItsEvents } = require('./events');
+const { tokenManagerAddress } = require('./addresses');
+const { simulateCall } = require('./tokenAdvisor');
+
+const ROLES_ABI = [
+    'function isMinter(address account) view returns (bool)',
+    'function isOperator(address account) view returns (bool)',
+    'function isFlowLimiter(address account) view returns (bool)',
+    'function tokenAddress() view returns (address)',
+];
+const rolesInterface = new Interface(ROLES_ABI);
+
+// Getters that check each role on-chain
+const ROLE_GETTERS = {
+    MINTER: 'isMinter',
+    OPERATOR: 'isOperator',
+    FLOW_LIMITER: 'isFlowLimiter',
+};
+
+function decodeRoles(accountRoles) {
+    return Object.keys(Roles).filter((role) => !accountRoles.shr(Roles[role]).and(1).isZero());
+}
+
+// Replays the role events of a contract, in order. An accepted proposal removes the roles from the proposer and adds them to the
+// proposed account in the same transaction, which is also what a direct transfer looks like. The proposal of a direct transfer is
+// left in storage, but cannot be accepted anymore unless the proposer gets the roles back, so both are treated as settled.
+function replayRoleEvents(events) {
+    const accounts = new Set();
+    const proposals = new Map();
+    let lastRemoved = null;
+
+    const sorted = [...events].sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+    for (const { name, transactionHash, args } of sorted) {
+        if (name === 'RolesProposed') {
+            proposals.set(`${args.fromAccount}:${args.toAccount}`, args);
+        } else if (name === 'RolesAdded') {
+            accounts.add(args.account);
+
+            const key = lastRemoved && `${lastRemoved.account}:${args.account}`;
+            const proposal = key && proposals.get(key);
+
+            if (proposal && lastRemoved.transactionHash === transactionHash && proposal.accountRoles.eq(args.accountRoles)) {
+                proposals.delete(key);
+            }
+        } else if (name === 'RolesRemoved') {
+            accounts.add(args.account);
+            lastRemoved = { account: args.account, transactionHash };
+        }
+    }
+
+    return {
+        accounts: [...accounts],
+        proposals: [...proposals.values()].map(({ fromAccount, toAccount, accountRoles }) => ({
+            from: fromAccount,
+            to: toAccount,
+            roles: decodeRoles(accountRoles),
+        })),
+    };
+}
+
+// Reports the holders of `roles` on the contract at `address` and its pending proposals. Holders are the accounts of the role
+// events and `knownAccounts` that still have the roles on-chain, so events before `fromBlock` only miss unknown accounts.
+// `options` are the block range and chunk size of `getItsEvents`.
+async function inspectContractRoles(provider, address, roles, knownAccounts, options = {}) {
+    const contract = new Contract(address, ROLES_ABI, provider);
+    const events = await getItsEvents(provider, {
+        ...options,
+        address,
+        eventNames: ['RolesProposed', 'RolesAdded', 'RolesRemoved'],
+    });
+    const { accounts, proposals } = replayRoleEvents(events);
+    const candidates = [...new Set([...knownAccounts, ...accounts])];
+    const holders = {};
+
+    for (const role of roles) {
+        const getter = contract[ROLE_GETTERS[role]];
+        holders[role] = [];
+
+        for (const account of candidates) {
+            if (await getter(account)) holders[role].push(account);
+        }
+    }
+
+    return { address, holders, proposals };
+}
+
+// Canonical and custom tokens usually have no `isMinter`, so a reverting call or a result that is not a bool means no minter role
+async function hasMinterRole(provider, tokenAddress) {
+    const result = await simulateCall(provider, { to: tokenAddress, data: rolesInterface.encodeFunctionData('isMinter', [AddressZero]) });
+
+    return result.success && hexDataLength(result.data) === 32;
+}
+
+async function isEoa(provider, account) {
+    return account !== AddressZero && (await provider.getCode(account)) === '0x';
+}
+
+async function findRisks(provider, { service, tokenManager, token }) {
+    const risks = [];
+    const itsAccounts = [service.address, tokenManager.address];
+
+    for (const [contract, { holders }] of Object.entries({ service, tokenManager })) {
+        for (const account of holders.OPERATOR) {
+            if (await isEoa(provider, account)) {
+                risks.push({ code: 'EOA_OPERATOR', contract, account, message: `Operator ${account} of the ${contract} is an EOA` });
+            }
+        }
+    }
+
+    if (token) {
+        // `address(0)` is a minter of interchain tokens that were deployed without a custom minter, which can not mint
+        const minters = token.holders.MINTER.filter((account) => account !== AddressZero);
+
+        if (minters.includes(service.address)) {
+            risks.push({
+                code: 'SERVICE_MINTER',
+                contract: 'token',
+                account: service.address,
+                message: 'The service is still a minter of the token, instead of handing mintership to the token manager',
+            });
+        }
+
+        if (minters.length > 0 && minters.every((account) => itsAccounts.includes(account))) {
+            risks.push({
+                code: 'ITS_ONLY_MINTER',
+                contract: 'token',
+                account: null,
+                message: 'ITS is the only minter of the token, so its supply can only change with interchain transfers',
+            });
+        }
+    }
+
+    return risks;
+}
+
+async function getTokenManager(provider, serviceAddress, tokenId) {
+    const address = tokenManagerAddress(serviceAddress, tokenId);
+    if ((await provider.getCode(address)) === '0x') throw new Error(`No token manager deployed for token id ${tokenId}`);
+
+    const tokenManager = new Contract(address, ROLES_ABI, provider);
+
+    return { tokenManager, tokenAddress: await tokenManager.tokenAddress() };
+}
+
+// Checks the roles of `account` on the token manager of `tokenId` and its token. The minter role is `null` for tokens without it.
+async function getAccountRoles(provider, serviceAddress, tokenId, account) {
+    const { tokenManager, tokenAddress } = await getTokenManager(provider, serviceAddress, tokenId);
+    const token = new Contract(tokenAddress, ROLES_ABI, provider);
+
+    return {
+        operator: await tokenManager.isOperator(account),
+        flowLimiter: await tokenManager.isFlowLimiter(account),
+        minter: (await hasMinterRole(provider, tokenAddress)) ? await token.isMinter(account) : null,
+    };
+}
+
+// Inspects the roles of the token manager of `tokenId`, its token and the service on one chain, and flags risky configurations.
+// Tokens without minter roles, e.g. canonical tokens, are reported as `null`, and any other error is thrown, since a skipped token
+// would also skip the checks of its minters. Role events are queried in chunks from `options.fromBlock`, which should be the
+// deployment block of the service, since the token contracts are deployed after it.
+async function inspectTokenRoles(provider, serviceAddress, tokenId, options) {
+    const {
+        tokenManager: { address: tokenManagerAddr },
+        tokenAddress,
+    } = await getTokenManager(provider, serviceAddress, tokenId);
+    const knownAccounts = [serviceAddress, tokenManagerAddr, AddressZero];
+
+    const service = await inspectContractRoles(provider, serviceAddress, ['OPERATOR'], knownAccounts, options);
+    const tokenManager = await inspectContractRoles(provider, tokenManagerAddr, ['OPERATOR', 'FLOW_LIMITER'], knownAccounts, options);
+    const token = (await hasMinterRole(provider, tokenAddress))
+        ? await inspectContractRoles(provider, tokenAddress, ['MINTER'], knownAccounts, options)
+        : null;
+
+    return { tokenId, service, tokenManager, token, risks: await findRisks(provider, { service, tokenManager, token }) };
+}
+
+// Inspects a token on every chain of `chains`, which maps chain names to their `provider` and `service` address
+async function inspectTokenRolesOnChains(chains, tokenId, options) {
+    const reports = {};
+
+    for (const [chainName, { provider, service }] of Object.entries(chains)) {
+        reports[chainName] = await inspectTokenRoles(provider, service, tokenId, options);
+    }
+
+    return reports;
+}
+
+module.exports = {
+    decodeRoles,
+    replayRoleEvents,
+    getAccountRoles,
+    inspectTokenRoles,
+    inspectTokenRolesOnChains,
+};
@@ -0,0 +1,229 @@
+'use strict';
+
+const {
+    BigNumber,
+    Contract,
+    Wallet,
+    utils: { Interface, Utf8ErrorFuncs, arrayify, defaultAbiCoder, hexDataLength, hexValue, parseEther, toUtf8String },
+} = require('ethers');
+const { TokenManagerType } = require('./constants');
+const { tokenManagerAddress } = require('./addresses');
+const { getRevertData } = require('./errors');
+
+const tokenInterface = new Interface([
+    'function name() view returns (string)',
+    'function symbol() view returns (string)',
+    'function decimals() view returns (uint8)',
+    'function balanceOf(address account) view returns (uint256)',
+    'function transfer(address to, uint256 amount) returns (bool)',
+    'function approve(address spender, uint256 amount) returns (bool)',
+    'function mint(address to, uint256 amount)',
+    'function burn(address from, uint256 amount)',
+    'function burnFrom(address from, uint256 amount)',
+]);
+
+// Decodes a `name` or `symbol` return value, which older tokens return as a null padded bytes32 instead of a string.
+// Strings are decoded as bytes, since the ABI decoder of Solidity does not validate their UTF-8 encoding either.
+function decodeTokenString(data) {
+    try {
+        return { value: toUtf8String(defaultAbiCoder.decode(['bytes'], data)[0], Utf8ErrorFuncs.replace), encoding: 'string' };
+    } catch {
+        const bytes = arrayify(data);
+        if (bytes.length !== 32) return { value: null, encoding: null };
+
+        let end = bytes.length;
+        while (end > 0 && bytes[end - 1] === 0) end--;
+
+        return { value: toUtf8String(bytes.slice(0, end), Utf8ErrorFuncs.replace), encoding: 'bytes32' };
+    }
+}
+
+// Calls `tx` and reports whether it reverted. Most providers throw on a reverted call, but hardhat returns its revert data instead,
+// so only results that could be revert data, i.e. empty or a selector followed by ABI words, are confirmed with `estimateGas`.
+async function simulateCall(provider, tx) {
+    let data;
+
+    try {
+        data = await provider.call(tx);
+    } catch (error) {
+        return { success: false, data: getRevertData(error) };
+    }
+
+    if (data !== '0x' && hexDataLength(data) % 32 !== 4) return { success: true, data };
+
+    try {
+        await provider.estimateGas(tx);
+    } catch (error) {
+        return { success: false, data: data !== '0x' ? data : getRevertData(error) };
+    }
+
+    return { success: true, data };
+}
+
+// Returns the data of a successful call, or null if it reverts
+async function call(provider, tx) {
+    const { success, data } = await simulateCall(provider, tx);
+
+    return success ? data : null;
+}
+
+async function getMetadata(provider, tokenAddress) {
+    const read = (method) => call(provider, { to: tokenAddress, data: tokenInterface.encodeFunctionData(method) });
+    const [name, symbol, decimals] = await Promise.all([read('name'), read('symbol'), read('decimals')]);
+    const decimalsValue = decimals && decimals !== '0x' ? BigNumber.from(decimals.slice(0, 66)) : null;
+    const standardDecimals = decimalsValue !== null && decimalsValue.lte(255);
+
+    return {
+        name: name ? decodeTokenString(name) : { value: null, encoding: null },
+        symbol: symbol ? decodeTokenString(symbol) : { value: null, encoding: null },
+        decimals: { value: standardDecimals ? decimalsValue.toNumber() : null, standard: standardDecimals },
+    };
+}
+
+// Looks for the PUSH4 of the selector, which the dispatcher of the contract compares the calldata with
+function hasSelector(code, method) {
+    return code.includes(`63${tokenInterface.getSighash(method).slice(2)}`);
+}
+
+// Functions of proxies are not in the bytecode of the token address, so a successful call also proves that a function exists
+async function probeFunction(provider, code, tokenAddress, method, from, args) {
+    const callable = (await call(provider, { from, to: tokenAddress, data: tokenInterface.encodeFunctionData(method, args) })) !== null;
+
+    return { exists: callable || hasSelector(code, method), callable };
+}
+
+// Transfers from an impersonated holder on a hardhat network or fork, and rolls the changes back afterwards.
+// Returns null when the provider does not support snapshots or impersonation, i.e. on a regular RPC.
+async function probeTransfer(provider, token, holder, amount, service) {
+    let snapshot;
+
+    try {
+        snapshot = await provider.send('evm_snapshot', []);
+        await provider.send('hardhat_impersonateAccount', [holder]);
+    } catch {
+        return null;
+    }
+
+    try {
+        await provider.send('hardhat_setBalance', [holder, hexValue(parseEther('100'))]);
+        const signer = provider.getSigner(holder);
+        const recipient = Wallet.createRandom().address;
+
+        await token
+            .connect(signer)
+            .transfer(recipient, amount)
+            .then((tx) => tx.wait());
+        const received = await token.balanceOf(recipient);
+
+        // `burnFrom` is called by the service itself, with the allowance of the sender
+        await token
+            .connect(signer)
+            .approve(service, amount)
+            .then((tx) => tx.wait());
+        const burnFromData = token.interface.encodeFunctionData('burnFrom', [holder, amount]);
+        const burnFromCallable = (await call(provider, { from: service, to: token.address, data: burnFromData })) !== null;
+
+        return { amount: BigNumber.from(amount), received, fee: BigNumber.from(amount).sub(received), burnFromCallable };
+    } catch (error) {
+        return { amount: BigNumber.from(amount), error: error.reason || error.message };
+    } finally {
+        await provider.send('evm_revert', [snapshot]);
+        await provider.send('hardhat_stopImpersonatingAccount', [holder]);
+    }
+}
+
+// Recommends the token manager type of an analysis from `analyzeToken`, with the reasons that led to it
+function recommendTokenManagerType({ metadata, functions, transfer, tokenManager }) {
+    const reasons = [];
+    let recommendation;
+
+    if (!transfer) {
+        reasons.push('Fee on transfer was not checked, analyze the token on a hardhat network or fork with a holder to check it');
+    } else if (transfer.error) {
+        reasons.push(`Fee on transfer could not be checked, the transfer from the holder failed: ${transfer.error}`);
+    }
+
+    const { mint, burn, burnFrom } = functions;
+
+    if (transfer && transfer.fee && !transfer.fee.isZero()) {
+        recommendation = 'LOCK_UNLOCK_FEE';
+        reasons.push(`Transferring ${transfer.amount} only delivered ${transfer.received}, so the token charges a fee on transfer`);
+    } else if (mint.callable && burn.callable) {
+        recommendation = 'MINT_BURN';
+        reasons.push(`The token manager ${tokenManager} can call mint(address,uint256) and burn(address,uint256)`);
+    } else if (mint.callable && burnFrom.callable) {
+        recommendation = 'MINT_BURN_FROM';
+        reasons.push(`The token manager ${tokenManager} can call mint and the service can call burnFrom with the allowance of the sender`);
+    } else {
+        recommendation = 'LOCK_UNLOCK';
+        reasons.push('The token manager cannot mint and burn the token, so tokens have to be locked and unlocked');
+
+        if (mint.exists && (burn.exists || burnFrom.exists)) {
+            reasons.push(
+                `The token has mint and burn functions, grant the minter role to the token manager ${tokenManager} to use MINT_BURN`,
+            );
+        }
+    }
+
+    for (const field of ['name', 'symbol']) {
+        if (metadata[field].encoding === 'bytes32') {
+            reasons.push(`The ${field} is returned as bytes32, which the factory cannot read to register the token as canonical`);
+        } else if (metadata[field].encoding === null) {
+            reasons.push(`The token has no ${field}, which the factory requires to register the token as canonical`);
+        }
+    }
+
+    if (!metadata.decimals.standard) {
+        reasons.push('The token has no standard decimals, which are required to register its metadata');
+    }
+
+    return { recommendation, tokenManagerType: TokenManagerType[recommendation], reasons };
+}
+
+// Probes the ERC20 at `tokenAddress` to recommend a token manager type for `registerCustomToken` and `linkToken`. Mint and burn are
+// called from the token manager of `tokenId`, which does not have to be deployed yet. With a `holder` on a hardhat network or fork,
+// a transfer is simulated to detect fees on transfer and `burnFrom` by the service. The amount defaults to one whole token, capped
+// at the balance of the holder, since percentage fees round down to zero for tiny amounts.
+async function analyzeToken(
+    provider,
+    tokenAddress,
+    { service, tokenId, tokenManager = tokenManagerAddress(service, tokenId), holder, amount },
+) {
+    const token = new Contract(tokenAddress, tokenInterface, provider);
+    const code = await provider.getCode(tokenAddress);
+    if (code === '0x') throw new Error(`No contract deployed at ${tokenAddress}`);
+
+    const metadata = await getMetadata(provider, tokenAddress);
+
+    if (amount === undefined) {
+        amount = BigNumber.from(10).pow(metadata.decimals.standard ? metadata.decimals.value : 18);
+
+        const balance = holder ? await token.balanceOf(holder).catch(() => BigNumber.from(0)) : BigNumber.from(0);
+        if (balance.gt(0) && balance.lt(amount)) amount = balance;
+    }
+
+    // Without a holder, burning nothing from the token manager still checks whether it can call `burn`
+    const burnAccount = holder || tokenManager;
+    const burnAmount = holder ? amount : 0;
+
+    const mint = await probeFunction(provider, code, tokenAddress, 'mint', tokenManager, [tokenManager, amount]);
+    const burn = await probeFunction(provider, code, tokenAddress, 'burn', tokenManager, [burnAccount, burnAmount]);
+    const transfer = holder ? await probeTransfer(provider, token, holder, amount, service) : null;
+    const burnFromCallable = Boolean(transfer && transfer.burnFromCallable);
+
+    const functions = {
+        mint,
+        burn,
+        burnFrom: { exists: burnFromCallable || hasSelector(code, 'burnFrom'), callable: burnFromCallable },
+    };
+    const analysis = { tokenAddress, tokenManager, metadata, functions, transfer };
+
+    return { ...analysis, ...recommendTokenManagerType(analysis) };
+}
+
+module.exports = {
+    simulateCall,
+    decodeTokenString,
+    recommendTokenManagerType,
+    analyzeToken,
+};
@@ -0,0 +1,70 @@
+'use strict';
+
+const {
+    constants: { AddressZero },
+    utils: { defaultAbiCoder, keccak256, toUtf8Bytes },
+} = require('ethers');
+const { contractError } = require('./errors');
+
+// Prefixes used by InterchainTokenService
+const PREFIX_INTERCHAIN_TOKEN_ID = keccak256(toUtf8Bytes('its-interchain-token-id'));
+
+// Prefixes used by InterchainTokenFactory
+const PREFIX_CANONICAL_TOKEN_SALT = keccak256(toUtf8Bytes('canonical-token-salt'));
+const PREFIX_INTERCHAIN_TOKEN_SALT = keccak256(toUtf8Bytes('interchain-token-salt'));
+const PREFIX_CUSTOM_TOKEN_SALT = keccak256(toUtf8Bytes('custom-token-salt'));
+
+// Tokens registered via the factory use a special deployer address, so that their tokenIds don't depend on the factory address
+const TOKEN_FACTORY_DEPLOYER = AddressZero;
+
+// The service is deployed with the hash of its chain name, and rejects empty names with `InvalidChainName`
+function getChainNameHash(chainName) {
+    if (chainName.length === 0) throw contractError('InvalidChainName');
+
+    return keccak256(toUtf8Bytes(chainName));
+}
+
+function interchainTokenId(sender, salt) {
+    return keccak256(defaultAbiCoder.encode(['bytes32', 'address', 'bytes32'], [PREFIX_INTERCHAIN_TOKEN_ID, sender, salt]));
+}
+
+function interchainTokenDeploySalt(chainNameHash, deployer, salt) {
+    return keccak256(
+        defaultAbiCoder.encode(['bytes32', 'bytes32', 'address', 'bytes32'], [PREFIX_INTERCHAIN_TOKEN_SALT, chainNameHash, deployer, salt]),
+    );
+}
+
+function canonicalInterchainTokenDeploySalt(chainNameHash, tokenAddress) {
+    return keccak256(defaultAbiCoder.encode(['bytes32', 'bytes32', 'address'], [PREFIX_CANONICAL_TOKEN_SALT, chainNameHash, tokenAddress]));
+}
+
+function linkedTokenDeploySalt(chainNameHash, deployer, salt) {
+    return keccak256(
+        defaultAbiCoder.encode(['bytes32', 'bytes32', 'address', 'bytes32'], [PREFIX_CUSTOM_TOKEN_SALT, chainNameHash, deployer, salt]),
+    );
+}
+
+// Equivalent to `InterchainTokenFactory.interchainTokenId`
+function factoryInterchainTokenId(chainNameHash, deployer, salt) {
+    return interchainTokenId(TOKEN_FACTORY_DEPLOYER, interchainTokenDeploySalt(chainNameHash, deployer, salt));
+}
+
+function canonicalInterchainTokenId(chainNameHash, tokenAddress) {
+    return interchainTokenId(TOKEN_FACTORY_DEPLOYER, canonicalInterchainTokenDeploySalt(chainNameHash, tokenAddress));
+}
+
+function linkedTokenId(chainNameHash, deployer, salt) {
+    return interchainTokenId(TOKEN_FACTORY_DEPLOYER, linkedTokenDeploySalt(chainNameHash, deployer, salt));
+}
+
+module.exports = {
+    TOKEN_FACTORY_DEPLOYER,
+    getChainNameHash,
+    interchainTokenId,
+    interchainTokenDeploySalt,
+    canonicalInterchainTokenDeploySalt,
+    linkedTokenDeploySalt,
+    factoryInterchainTokenId,
+    canonicalInterchainTokenId,
+    linkedTokenId,
+};
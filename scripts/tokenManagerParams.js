@@ -0,0 +1,75 @@
+'use strict';
+
+const {
+    constants: { AddressZero },
+    utils: { defaultAbiCoder, getAddress, hexDataLength, hexlify, isAddress, isBytesLike },
+} = require('ethers');
+const { NATIVE_INTERCHAIN_TOKEN, MINT_BURN } = require('./constants');
+const { contractError } = require('./errors');
+
+const EVM_ADDRESS_LENGTH = 20;
+
+function validateTokenManagerType(tokenManagerType) {
+    if (!Number.isInteger(tokenManagerType) || tokenManagerType < NATIVE_INTERCHAIN_TOKEN || tokenManagerType > MINT_BURN) {
+        throw contractError('UnsupportedTokenManagerType', [String(tokenManagerType)]);
+    }
+}
+
+// Operators are passed around as bytes to support non-EVM chains, an empty operator leaves the token manager without one
+function toOperatorBytes(operator) {
+    if (operator === undefined || operator === null) return '0x';
+    if (!isBytesLike(operator)) throw contractError('InvalidBytesLength', [String(operator)]);
+
+    return hexlify(operator);
+}
+
+// Mirrors `AddressBytes.toAddress`, which the token manager uses to set up a non-empty operator
+function toOperatorAddress(operatorBytes) {
+    if (hexDataLength(operatorBytes) === 0) return AddressZero;
+    if (hexDataLength(operatorBytes) !== EVM_ADDRESS_LENGTH) throw contractError('InvalidBytesLength', [operatorBytes]);
+
+    return getAddress(operatorBytes);
+}
+
+// Equivalent to `TokenManager.params`, for `NATIVE_INTERCHAIN_TOKEN` the operator is the minter of the interchain token
+function encodeTokenManagerParams(tokenManagerType, operator, tokenAddress) {
+    validateTokenManagerType(tokenManagerType);
+
+    const operatorBytes = toOperatorBytes(operator);
+    toOperatorAddress(operatorBytes);
+
+    if (!isAddress(tokenAddress) || getAddress(tokenAddress) === AddressZero) throw contractError('EmptyTokenAddress');
+
+    return defaultAbiCoder.encode(['bytes', 'address'], [operatorBytes, tokenAddress]);
+}
+
+function decodeTokenManagerParams(params) {
+    const [operator, tokenAddress] = defaultAbiCoder.decode(['bytes', 'address'], params);
+
+    return { operator, operatorAddress: toOperatorAddress(operator), tokenAddress };
+}
+
+// Link params only consist of the operator for now, which can't be validated as an address for non-EVM destination chains
+function encodeLinkParams(tokenManagerType, operator, { evmDestination = true } = {}) {
+    validateTokenManagerType(tokenManagerType);
+
+    if (tokenManagerType === NATIVE_INTERCHAIN_TOKEN) throw contractError('CannotDeploy', [String(tokenManagerType)]);
+
+    const operatorBytes = toOperatorBytes(operator);
+    if (evmDestination) toOperatorAddress(operatorBytes);
+
+    return operatorBytes;
+}
+
+function decodeLinkParams(linkParams) {
+    const operator = hexlify(linkParams);
+
+    return { operator, operatorAddress: toOperatorAddress(operator) };
+}
+
+module.exports = {
+    encodeTokenManagerParams,
+    decodeTokenManagerParams,
+    encodeLinkParams,
+    decodeLinkParams,
+};
@@ -0,0 +1,87 @@
+'use strict';
+
+const {
+    BigNumber,
+    utils: { Interface, hexDataLength, hexDataSlice },
+} = require('ethers');
+const { contractError } = require('./errors');
+const { decodeTokenString, simulateCall } = require('./tokenAdvisor');
+
+const tokenInterface = new Interface([
+    'function name() view returns (string)',
+    'function symbol() view returns (string)',
+    'function decimals() view returns (uint8)',
+]);
+
+// Applies the ABI decoder of the factory to a successful call. The decoding happens outside of the `try`/`catch`, so a return value
+// that is not the expected type, e.g. a bytes32 name or the empty return of an address without code, reverts without data.
+function decodeField(tokenAddress, field, data) {
+    if (field === 'decimals') {
+        const decimals = hexDataLength(data) >= 32 ? BigNumber.from(hexDataSlice(data, 0, 32)) : null;
+        if (decimals && decimals.lte(255)) return decimals.toNumber();
+
+        throw new Error(`Token ${tokenAddress} returns decimals that are not a uint8, the factory reverts without data`);
+    }
+
+    // `decodeTokenString` accepts the same string layouts as the factory, and recognizes bytes32 values to explain the revert
+    const { value, encoding } = decodeTokenString(data);
+    if (encoding === 'string') return value;
+
+    if (encoding === 'bytes32') {
+        throw new Error(
+            `Token ${tokenAddress} returns its ${field} as bytes32, which the factory does not decode and reverts without data`,
+        );
+    }
+
+    throw new Error(`Token ${tokenAddress} returns a ${field} that is not a string, the factory reverts without data`);
+}
+
+// Mirrors `InterchainTokenFactory._getTokenMetadata`: a reverting `name`, `symbol` or `decimals` call raises `NotToken`, and there is
+// no fallback for bytes32 metadata, which reverts like any other return value that cannot be decoded.
+async function getTokenMetadata(provider, tokenAddress) {
+    const metadata = {};
+
+    for (const field of ['name', 'symbol', 'decimals']) {
+        const { success, data } = await simulateCall(provider, { to: tokenAddress, data: tokenInterface.encodeFunctionData(field) });
+        if (!success) throw contractError('NotToken', [tokenAddress]);
+
+        metadata[field] = decodeField(tokenAddress, field, data);
+    }
+
+    return metadata;
+}
+
+// Checks whether tokens can be registered as canonical interchain tokens and then deployed to other chains.
+// `registrationError` is the error of `registerCanonicalInterchainToken`, which only requires the metadata to be readable, while
+// `deploymentError` is the error of `deployRemoteCanonicalInterchainToken`, which also requires a name and symbol.
+async function validateCanonicalRegistrations(provider, tokenAddresses) {
+    const results = [];
+
+    for (const tokenAddress of tokenAddresses) {
+        let metadata = null;
+        let registrationError = null;
+        let deploymentError = null;
+
+        try {
+            metadata = await getTokenMetadata(provider, tokenAddress);
+        } catch (error) {
+            registrationError = error;
+            deploymentError = error;
+        }
+
+        if (metadata && metadata.name.length === 0) {
+            deploymentError = contractError('EmptyTokenName');
+        } else if (metadata && metadata.symbol.length === 0) {
+            deploymentError = contractError('EmptyTokenSymbol');
+        }
+
+        results.push({ tokenAddress, metadata, registrationError, deploymentError, ok: !registrationError && !deploymentError });
+    }
+
+    return results;
+}
+
+module.exports = {
+    getTokenMetadata,
+    validateCanonicalRegistrations,
+};
@@ -0,0 +1,68 @@
+'use strict';
+
+const {
+    utils: { Interface },
+} = require('ethers');
+const { getItsEvents } = require('./events');
+
+const trustedChainsInterface = new Interface([
+    'function setTrustedChain(string chainName)',
+    'function removeTrustedChain(string chainName)',
+    'function multicall(bytes[] data) payable returns (bytes[] results)',
+]);
+
+// `ChainTracker` keeps the trusted chains in a mapping, so the set can only be rebuilt by replaying its events in order.
+// `options` are the block range and chunk size of `getItsEvents`, where `fromBlock` should be the deployment block of the service.
+async function getTrustedChains(provider, serviceAddress, options = {}) {
+    const events = await getItsEvents(provider, {
+        ...options,
+        address: serviceAddress,
+        eventNames: ['TrustedChainSet', 'TrustedChainRemoved'],
+    });
+    const trustedChains = new Set();
+
+    events
+        .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex)
+        .forEach(({ name, args: { chainName } }) => {
+            if (name === 'TrustedChainSet') {
+                trustedChains.add(chainName);
+            } else {
+                trustedChains.delete(chainName);
+            }
+        });
+
+    return [...trustedChains];
+}
+
+function diffTrustedChains(currentChains, desiredChains) {
+    const current = new Set(currentChains);
+    const desired = new Set(desiredChains);
+
+    return {
+        toAdd: [...desired].filter((chainName) => !current.has(chainName)),
+        toRemove: [...current].filter((chainName) => !desired.has(chainName)),
+    };
+}
+
+// The calls that converge the trusted chains of a service to `desiredChains`, which need to be sent by its owner or operator.
+// `multicall` batches them into a single transaction, and is null when the service already trusts exactly the desired chains.
+async function reconcileTrustedChains(provider, serviceAddress, desiredChains, options) {
+    const current = await getTrustedChains(provider, serviceAddress, options);
+    const { toAdd, toRemove } = diffTrustedChains(current, desiredChains);
+
+    const calls = [
+        ...toRemove.map((chainName) => ({ method: 'removeTrustedChain', args: [chainName] })),
+        ...toAdd.map((chainName) => ({ method: 'setTrustedChain', args: [chainName] })),
+    ].map((call) => ({ ...call, data: trustedChainsInterface.encodeFunctionData(call.method, call.args) }));
+
+    const multicall = calls.length > 0 ? trustedChainsInterface.encodeFunctionData('multicall', [calls.map(({ data }) => data)]) : null;
+
+    return { current, toAdd, toRemove, calls, multicall };
+}
+
+module.exports = {
+    trustedChainsInterface,
+    getTrustedChains,
+    diffTrustedChains,
+    reconcileTrustedChains,
+};
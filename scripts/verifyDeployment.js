@@ -0,0 +1,159 @@
+'use strict';
+
+const fs = require('fs');
+const {
+    Contract,
+    utils: { keccak256, toUtf8Bytes },
+} = require('ethers');
+const { getTrustedChains } = require('./trustedChains');
+
+const SERVICE_ABI = [
+    'function gateway() view returns (address)',
+    'function gasService() view returns (address)',
+    'function interchainTokenFactory() view returns (address)',
+    'function chainNameHash() view returns (bytes32)',
+    'function chainName() view returns (string)',
+    'function tokenManagerDeployer() view returns (address)',
+    'function interchainTokenDeployer() view returns (address)',
+    'function tokenManager() view returns (address)',
+    'function tokenHandler() view returns (address)',
+    'function itsHubAddress() view returns (string)',
+    'function isTrustedChain(string chainName) view returns (bool)',
+    'function isOperator(address account) view returns (bool)',
+    'function owner() view returns (address)',
+    'function implementation() view returns (address)',
+];
+
+const FACTORY_ABI = [
+    'function interchainTokenService() view returns (address)',
+    'function owner() view returns (address)',
+    'function implementation() view returns (address)',
+];
+
+// Immutables and getters that are compared as-is, addresses are compared case-insensitively
+const SERVICE_GETTERS = [
+    'gateway',
+    'gasService',
+    'interchainTokenFactory',
+    'tokenManagerDeployer',
+    'interchainTokenDeployer',
+    'tokenManager',
+    'tokenHandler',
+    'itsHubAddress',
+    'chainName',
+    'owner',
+    'implementation',
+];
+
+const isEqual = (expected, actual) =>
+    typeof expected === 'string' && typeof actual === 'string' ? expected.toLowerCase() === actual.toLowerCase() : expected === actual;
+
+// Builds the expected deployment of a chain from the manifest and config of `deployManifest.js`
+function getExpectedDeployment(chainName, { contracts }, chainConfig = {}) {
+    const { deployer } = chainConfig;
+    const owner = chainConfig.owner || deployer;
+
+    return {
+        chainName,
+        service: contracts.InterchainTokenService.address,
+        implementation: contracts.InterchainTokenServiceImplementation.address,
+        gateway: chainConfig.gateway,
+        gasService: chainConfig.gasService,
+        interchainTokenFactory: contracts.InterchainTokenFactory.address,
+        factoryImplementation: contracts.InterchainTokenFactoryImplementation.address,
+        tokenManagerDeployer: contracts.TokenManagerDeployer.address,
+        interchainTokenDeployer: contracts.InterchainTokenDeployer.address,
+        tokenManager: contracts.TokenManager.address,
+        tokenHandler: contracts.TokenHandler.address,
+        itsHubAddress: chainConfig.itsHubAddress,
+        trustedChains: chainConfig.trustedChains || [],
+        owner,
+        operator: chainConfig.operator || deployer,
+    };
+}
+
+// Reads a deployed InterchainTokenService and its factory, and compares them with the expected deployment.
+// Every check is reported, and expected values that are undefined are skipped. Trusted chains that are not expected are found by
+// replaying the trusted chain events in the block range of `options`, and are reported if the service still trusts them.
+async function verifyDeployment(provider, expected, options) {
+    const service = new Contract(expected.service, SERVICE_ABI, provider);
+    const checks = [];
+
+    const check = (name, expectedValue, actual) => {
+        if (expectedValue === undefined) return;
+
+        checks.push({ name, expected: expectedValue, actual, ok: isEqual(expectedValue, actual) });
+    };
+
+    for (const getter of SERVICE_GETTERS) {
+        check(getter, expected[getter], await service[getter]());
+    }
+
+    if (expected.chainName !== undefined) {
+        check('chainNameHash', keccak256(toUtf8Bytes(expected.chainName)), await service.chainNameHash());
+    }
+
+    if (expected.trustedChains !== undefined) {
+        for (const chainName of expected.trustedChains) {
+            check(`isTrustedChain(${chainName})`, true, await service.isTrustedChain(chainName));
+        }
+
+        const extraChains = (await getTrustedChains(provider, expected.service, options)).filter(
+            (chainName) => !expected.trustedChains.includes(chainName),
+        );
+
+        for (const chainName of extraChains) {
+            check(`isTrustedChain(${chainName})`, false, await service.isTrustedChain(chainName));
+        }
+    }
+
+    if (expected.operator !== undefined) {
+        check(`isOperator(${expected.operator})`, true, await service.isOperator(expected.operator));
+    }
+
+    const factoryAddress = expected.interchainTokenFactory || (await service.interchainTokenFactory());
+    const factory = new Contract(factoryAddress, FACTORY_ABI, provider);
+
+    check('factory.interchainTokenService', expected.service, await factory.interchainTokenService());
+    check('factory.owner', expected.owner, await factory.owner());
+    check('factory.implementation', expected.factoryImplementation, await factory.implementation());
+
+    const mismatches = checks.filter(({ ok }) => !ok);
+
+    return { ok: mismatches.length === 0, checks, mismatches };
+}
+
+// CONFIG=config.json MANIFEST=manifest.json npx hardhat run scripts/verifyDeployment.js --network <network>
+// FROM_BLOCK is the block to replay the trusted chain events from, which should be the deployment block of the service.
+async function main() {
+    const { ethers, network } = require('hardhat');
+    const { CONFIG, MANIFEST, CHAIN = network.name, FROM_BLOCK = 0 } = process.env;
+    if (!CONFIG || !MANIFEST) throw new Error('CONFIG and MANIFEST have to be set');
+
+    const config = JSON.parse(fs.readFileSync(CONFIG, 'utf8'));
+    const manifest = JSON.parse(fs.readFileSync(MANIFEST, 'utf8'));
+    if (!manifest[CHAIN]) throw new Error(`Missing manifest for chain ${CHAIN}`);
+
+    const expected = getExpectedDeployment(CHAIN, manifest[CHAIN], { deployer: manifest[CHAIN].deployer, ...config[CHAIN] });
+    const { ok, mismatches } = await verifyDeployment(ethers.provider, expected, { fromBlock: Number(FROM_BLOCK) });
+
+    for (const { name, expected, actual } of mismatches) {
+        console.log(`Mismatch of ${name}: expected ${expected}, got ${actual}`);
+    }
+
+    console.log(ok ? `Deployment on ${CHAIN} matches the manifest` : `Deployment on ${CHAIN} has ${mismatches.length} mismatches`);
+
+    if (!ok) process.exitCode = 1;
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error(error);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    getExpectedDeployment,
+    verifyDeployment,
+};
@@ -18,6 +18,7 @@ const {
     encodeReceiveHubMessage,
 } = require('./utils');
 const { create3DeployContract } = require('@axelar-network/axelar-gmp-sdk-solidity');
+const { tokenManagerAddress, interchainTokenAddress } = require('../scripts/addresses');
 const Token = getContractJSON('TestInterchainTokenStandard');
 const { NATIVE_INTERCHAIN_TOKEN, ITS_HUB_ADDRESS, ITS_HUB_CHAIN } = require('./constants');
 
@@ -53,6 +54,15 @@ if (isHardhat) {
             ]);
         });
 
+        describe('Offline Address Derivation', () => {
+            it('Should derive the same addresses as the service', async () => {
+                const tokenId = getRandomBytes32();
+
+                expect(tokenManagerAddress(service.address, tokenId)).to.eq(await service.tokenManagerAddress(tokenId));
+                expect(interchainTokenAddress(service.address, tokenId)).to.eq(await service.interchainTokenAddress(tokenId));
+            });
+        });
+
         describe('Interchain Token Service Deployments', () => {
             it('Should derive the correct token address for remote interchain token deployment', async () => {
                 const salt = getSaltFromKey('deployRemoteInterchainToken');
@@ -63,6 +73,9 @@ if (isHardhat) {
                 const expectedTokenAddress = '0xDeB68Eb8F7D583140ce9158068f697F7B3a54Fb9';
                 const expectedTokenManagerAddress = '0x3B058fE7Ed045f56F0152AED1e8c5fbaE7e23C70';
 
+                expect(interchainTokenAddress(service.address, tokenId)).to.eq(expectedTokenAddress);
+                expect(tokenManagerAddress(service.address, tokenId)).to.eq(expectedTokenManagerAddress);
+
                 const params = defaultAbiCoder.encode(['bytes', 'address'], [operator, expectedTokenAddress]);
                 const { payload } = encodeReceiveHubMessage(
                     sourceChain,
@@ -86,6 +99,9 @@ if (isHardhat) {
                 const expectedTokenAddress = '0x98D4481F4c1FC0608862e573Db15d0640F2E1B14';
                 const expectedTokenManagerAddress = '0x89AF99D9373722De5F29ABbF706efeD020ae3E1F';
 
+                expect(interchainTokenAddress(service.address, tokenId)).to.eq(expectedTokenAddress);
+                expect(tokenManagerAddress(service.address, tokenId)).to.eq(expectedTokenManagerAddress);
+
                 const params = defaultAbiCoder.encode(['bytes', 'address'], [operator, expectedTokenAddress]);
                 const { payload } = encodeReceiveHubMessage(
                     sourceChain,
@@ -111,6 +127,9 @@ if (isHardhat) {
                 const expectedTokenAddress = '0xD48F12c4b65135575495C476977B893D8e817B4b';
                 const expectedTokenManagerAddress = '0xcb7DEA0Aeb34A992451717C0537b5C4eA1635A54';
 
+                expect(interchainTokenAddress(service.address, tokenId)).to.eq(expectedTokenAddress);
+                expect(tokenManagerAddress(service.address, tokenId)).to.eq(expectedTokenManagerAddress);
+
                 const params = defaultAbiCoder.encode(['bytes', 'address'], [tokenFactory.address, expectedTokenAddress]);
 
                 await expect(tokenFactory.deployInterchainToken(salt, tokenName, tokenSymbol, tokenDecimals, initialSupply, wallet.address))
@@ -129,6 +148,9 @@ if (isHardhat) {
                 const expectedTokenAddress = '0x977178149Ae62EFB70fD9BBa3e9200663Bdcb13c';
                 const expectedTokenManagerAddress = '0x1695DD538BeDd759BE212Ed24f809eA51dbc08D0';
 
+                expect(interchainTokenAddress(service.address, tokenId)).to.eq(expectedTokenAddress);
+                expect(tokenManagerAddress(service.address, tokenId)).to.eq(expectedTokenManagerAddress);
+
                 const params = defaultAbiCoder.encode(['bytes', 'address'], [operator, expectedTokenAddress]);
                 const { payload } = encodeReceiveHubMessage(
                     sourceChain,
@@ -152,6 +174,9 @@ if (isHardhat) {
                 const expectedTokenAddress = '0x99ea4db7a1Aca4aC8d44fbbD6e2BD49960F6163a';
                 const expectedTokenManagerAddress = '0x123908f4742664f68db857c6a10c846fb557AF08';
 
+                expect(interchainTokenAddress(service.address, tokenId)).to.eq(expectedTokenAddress);
+                expect(tokenManagerAddress(service.address, tokenId)).to.eq(expectedTokenManagerAddress);
+
                 const params = defaultAbiCoder.encode(['bytes', 'address'], [operator, expectedTokenAddress]);
                 const { payload } = encodeReceiveHubMessage(
                     sourceChain,
@@ -174,6 +199,9 @@ if (isHardhat) {
                 const expectedTokenAddress = '0x74305d7DBD2a9Aa2994825995504b7e97bDF4430';
                 const expectedTokenManagerAddress = '0x43eb02B89a4478128Df888260254efFd75b6D2eA';
 
+                expect(interchainTokenAddress(service.address, tokenId)).to.eq(expectedTokenAddress);
+                expect(tokenManagerAddress(service.address, tokenId)).to.eq(expectedTokenManagerAddress);
+
                 const params = defaultAbiCoder.encode(['bytes', 'address'], [operator, expectedTokenAddress]);
                 const { payload } = encodeReceiveHubMessage(
                     sourceChain,
@@ -0,0 +1,171 @@
+'use strict';
+
+const chai = require('chai');
+const { expect } = chai;
+const { ethers } = require('hardhat');
+const { BigNumber } = ethers;
+const sdk = require('..');
+const { getRandomBytes32 } = require('./utils');
+const { LOCK_UNLOCK } = require('./constants');
+
+describe('CLI', () => {
+    const { run } = require('../scripts/its');
+    const service = ethers.Wallet.createRandom().address;
+    const tokenFactory = ethers.Wallet.createRandom().address;
+    const env = { ITS_SERVICE: service, ITS_TOKEN_FACTORY: tokenFactory };
+
+    const dryRun = async (...argv) => {
+        const output = [];
+        const tx = await run([...argv, '--dry-run'], { env, log: (line) => output.push(line) });
+
+        expect(JSON.parse(output[0])).to.deep.equal({ to: tx.to, data: tx.data, value: tx.value.toString() });
+
+        return tx;
+    };
+
+    it('Should print the calldata of a remote canonical deployment', async () => {
+        const tokenAddress = ethers.Wallet.createRandom().address;
+        const tx = await dryRun('deploy-remote', '--canonical', tokenAddress, '--destination-chain', 'chain A', '--gas-value', '100');
+
+        expect(tx.to).to.equal(tokenFactory);
+        expect(tx.value).to.equal(100);
+        expect([...sdk.factoryInterface.decodeFunctionData('deployRemoteCanonicalInterchainToken', tx.data)]).to.deep.equal([
+            tokenAddress,
+            'chain A',
+            tx.value,
+        ]);
+    });
+
+    it('Should print the calldata of a transfer with data', async () => {
+        const tokenId = getRandomBytes32();
+        const tx = await dryRun('transfer', tokenId, 'chain A', '0x1234', '1000', '--data', '0xabcd');
+        const { args } = new ethers.utils.Interface([
+            'function interchainTransfer(bytes32,string,bytes,uint256,bytes,uint256)',
+        ]).parseTransaction(tx);
+
+        expect(tx.to).to.equal(service);
+        expect(args[0]).to.equal(tokenId);
+        expect(args[3]).to.equal(1000);
+        expect(sdk.decodeMetadata(args[4]).data).to.equal('0xabcd');
+    });
+
+    it('Should resolve token manager types by name', async () => {
+        const destinationToken = ethers.Wallet.createRandom().address;
+        const args = ['--salt', getRandomBytes32(), '--destination-chain', 'chain A', '--destination-token', destinationToken];
+
+        const byName = await dryRun('link', ...args, '--type', 'LOCK_UNLOCK');
+        const byValue = await dryRun('link', ...args, '--type', String(LOCK_UNLOCK));
+
+        expect(byName.data).to.equal(byValue.data);
+        await run(['link', ...args, '--type', 'UNKNOWN', '--dry-run'], { env }).then(
+            () => expect.fail('Expected the command to fail'),
+            (error) => expect(error.message).to.equal('Invalid token manager type UNKNOWN'),
+        );
+    });
+
+    it('Should require the options of a command', async () => {
+        await run(['deploy-token', '--salt', getRandomBytes32(), '--dry-run'], { env }).then(
+            () => expect.fail('Expected the command to fail'),
+            (error) => expect(error.message).to.equal('Missing --name'),
+        );
+    });
+
+    describe('Token Commands', () => {
+        const tokenManager = ethers.Wallet.createRandom().address;
+        const tokenAddress = ethers.Wallet.createRandom().address;
+        const cliInterface = new ethers.utils.Interface([
+            'function tokenManagerAddress(bytes32 tokenId) view returns (address)',
+            'function getImplementationTypeAndTokenAddress() view returns (uint256, address)',
+            'function flowLimit() view returns (uint256)',
+            'function name() view returns (string)',
+            'function symbol() view returns (string)',
+            'function decimals() view returns (uint8)',
+            'function allowance(address owner, address spender) view returns (uint256)',
+            'function approve(address spender, uint256 amount) returns (bool)',
+        ]);
+
+        // Answers the calls of the token commands with the results of `fields`, where functions are called instead, e.g. to throw
+        class TokenInfoProvider extends ethers.providers.BaseProvider {
+            constructor(fields) {
+                super({ name: 'cli', chainId: 1337 });
+                this.results = {
+                    tokenManagerAddress: [tokenManager],
+                    getImplementationTypeAndTokenAddress: [LOCK_UNLOCK, tokenAddress],
+                    flowLimit: [0],
+                    name: ['Token Name'],
+                    symbol: ['TN'],
+                    decimals: [18],
+                    allowance: [5],
+                    ...fields,
+                };
+            }
+
+            async getCode() {
+                return '0x00';
+            }
+
+            async call({ data }) {
+                const { name } = cliInterface.parseTransaction({ data });
+                const result = this.results[name];
+
+                return typeof result === 'function' ? result() : cliInterface.encodeFunctionResult(name, result);
+            }
+        }
+
+        const tokenInfo = (provider) => run(['token-info', getRandomBytes32()], { env, provider, log() {} });
+
+        it('Should report the metadata fields that cannot be read', async () => {
+            const info = await tokenInfo(new TokenInfoProvider({ symbol: () => '0x' }));
+
+            expect(info).to.deep.include({
+                tokenManagerType: 'LOCK_UNLOCK',
+                tokenAddress,
+                name: 'Token Name',
+                symbol: null,
+                decimals: 18,
+            });
+            expect(Object.keys(info.metadataErrors)).to.deep.equal(['symbol']);
+        });
+
+        it('Should check the allowance of the service before transfers', async () => {
+            const signer = ethers.Wallet.createRandom().connect(new TokenInfoProvider());
+            const tokenId = getRandomBytes32();
+            const transfer = (amount) => run(['transfer', tokenId, 'chain A', '0x1234', amount, '--dry-run'], { env, signer, log() {} });
+
+            await transfer('10').then(
+                () => expect.fail('Expected the command to fail'),
+                (error) =>
+                    expect(error.message).to.equal(
+                        `Allowance 5 of the service for token ${tokenAddress} is below 10, run: its approve ${tokenId} 10`,
+                    ),
+            );
+            expect((await transfer('5')).to).to.equal(service);
+
+            const approve = await run(['approve', tokenId, '10', '--dry-run'], { env, signer, log() {} });
+            expect(approve.to).to.equal(tokenAddress);
+            expect([...cliInterface.decodeFunctionData('approve', approve.data)]).to.deep.equal([service, BigNumber.from(10)]);
+        });
+
+        it('Should fail when the RPC fails', async () => {
+            const error = Object.assign(new Error('connection refused'), { code: ethers.errors.SERVER_ERROR });
+
+            await tokenInfo(
+                new TokenInfoProvider({
+                    name() {
+                        throw error;
+                    },
+                }),
+            ).then(
+                () => expect.fail('Expected the command to fail'),
+                (thrown) => expect(thrown).to.equal(error),
+            );
+        });
+    });
+
+    it('Should reject unknown commands', async () => {
+        await run(['burn'], { env, log() {} }).then(
+            () => expect.fail('Expected the command to fail'),
+            (error) => expect(error.message).to.equal('Unknown command burn'),
+        );
+    });
+});
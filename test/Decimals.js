@@ -0,0 +1,49 @@
+'use strict';
+
+const chai = require('chai');
+const { expect } = chai;
+const { ethers } = require('hardhat');
+const {
+    constants: { MaxUint256 },
+    utils: { parseUnits },
+} = ethers;
+const sdk = require('..');
+
+describe('Decimals', () => {
+    it('Should scale amounts up without dust', () => {
+        const { amount, dust } = sdk.scaleAmount(1234, 6, 18);
+
+        expect(amount).to.equal(parseUnits('1234', 12));
+        expect(dust).to.equal(0);
+    });
+
+    it('Should report the dust truncated when scaling down', () => {
+        const { amount, dust } = sdk.scaleAmount(parseUnits('1.2345678', 18), 18, 6);
+
+        expect(amount).to.equal(1234567);
+        expect(dust).to.equal(parseUnits('0.0000008', 18));
+        expect(sdk.getTransferableAmount(parseUnits('1.2345678', 18), 18, 6)).to.equal(parseUnits('1.234567', 18));
+    });
+
+    it('Should keep amounts between tokens with the same decimals', () => {
+        expect(sdk.scaleAmount(1, 18, 18).amount).to.equal(1);
+    });
+
+    it('Should reject amounts that scale down to zero', () => {
+        expect(() => sdk.scaleAmount(parseUnits('1', 11), 18, 6))
+            .to.throw('ZeroAmount()')
+            .with.property('name', 'ZeroAmount');
+        expect(() => sdk.scaleAmount(0, 6, 18)).to.throw('ZeroAmount()');
+    });
+
+    it('Should reject amounts that overflow when scaling up', () => {
+        expect(() => sdk.scaleAmount(MaxUint256, 0, 1)).to.throw('AmountOverflow');
+    });
+
+    it('Should reject invalid decimals', () => {
+        expect(() => sdk.scaleAmount(1, 256, 18))
+            .to.throw('InvalidTokenDecimals(256)')
+            .with.property('name', 'InvalidTokenDecimals');
+        expect(() => sdk.scaleAmount(1, 18, 1.5)).to.throw('InvalidTokenDecimals(1.5)');
+    });
+});
@@ -0,0 +1,246 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const chai = require('chai');
+const { expect } = chai;
+const { ethers } = require('hardhat');
+const {
+    constants: { AddressZero },
+} = ethers;
+const Create3Deployer = require('@axelar-network/axelar-gmp-sdk-solidity/artifacts/contracts/deploy/Create3Deployer.sol/Create3Deployer.json');
+const { deployMockGateway, deployGasService } = require('../scripts/deploy');
+const { deployWithManifest } = require('../scripts/deployManifest');
+const { getExpectedDeployment, verifyDeployment } = require('../scripts/verifyDeployment');
+const { ITS_HUB_ADDRESS } = require('./constants');
+
+describe('Deploy Manifest', () => {
+    const chainName = 'manifest chain';
+    let wallet, config, manifestPath;
+
+    const readManifest = () => JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+
+    before(async () => {
+        [wallet] = await ethers.getSigners();
+
+        const gateway = await deployMockGateway(wallet);
+        const gasService = await deployGasService(wallet);
+
+        config = {
+            gateway: gateway.address,
+            gasService: gasService.address,
+            itsHubAddress: ITS_HUB_ADDRESS,
+            trustedChains: ['other chain'],
+        };
+    });
+
+    beforeEach(() => {
+        manifestPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'its-manifest-')), 'manifest.json');
+    });
+
+    afterEach(() => {
+        fs.rmSync(path.dirname(manifestPath), { recursive: true, force: true });
+    });
+
+    it('Should deploy ITS and record every contract in the manifest', async () => {
+        const { deployed, skipped, service, tokenFactory } = await deployWithManifest(wallet, chainName, config, manifestPath);
+        const { [chainName]: manifest } = readManifest();
+
+        expect(skipped).to.deep.equal([]);
+        expect(Object.keys(manifest.contracts)).to.deep.equal(deployed);
+        expect(manifest.deployer).to.equal(wallet.address);
+        expect(manifest.contracts.InterchainTokenService).to.include({ address: service.address, deploymentKey: 'InterchainTokenService' });
+        expect(manifest.contracts.InterchainTokenFactory).to.include({
+            address: tokenFactory.address,
+            deploymentKey: 'InterchainTokenServiceFactory',
+        });
+        expect(manifest.contracts.InterchainTokenServiceImplementation.args).to.include.members([
+            config.gateway,
+            chainName,
+            ITS_HUB_ADDRESS,
+        ]);
+
+        expect(await service.interchainTokenFactory()).to.equal(tokenFactory.address);
+        expect(await service.chainName()).to.equal(chainName);
+        expect(await service.isTrustedChain('other chain')).to.be.true;
+        expect(await tokenFactory.interchainTokenService()).to.equal(service.address);
+    });
+
+    it('Should skip contracts that are in the manifest', async () => {
+        const { deployed } = await deployWithManifest(wallet, chainName, config, manifestPath);
+        const manifest = readManifest();
+
+        const rerun = await deployWithManifest(wallet, chainName, config, manifestPath);
+
+        expect(rerun.deployed).to.deep.equal([]);
+        expect(rerun.skipped).to.deep.equal(deployed);
+        expect(readManifest()).to.deep.equal(manifest);
+    });
+
+    it('Should resume a deployment after a failure', async () => {
+        // The proxy reverts with `InvalidOwner`, after the implementations it depends on were deployed
+        await deployWithManifest(wallet, chainName, { ...config, owner: AddressZero }, manifestPath).then(
+            () => expect.fail('Expected the deployment to fail'),
+            () => {},
+        );
+
+        const { contracts } = readManifest()[chainName];
+        expect(contracts.InterchainTokenServiceImplementation).to.not.be.undefined;
+        expect(contracts.InterchainTokenService).to.be.undefined;
+
+        const { deployed, skipped, service } = await deployWithManifest(wallet, chainName, config, manifestPath);
+
+        expect(skipped).to.deep.equal(Object.keys(contracts));
+        expect(deployed).to.deep.equal(['InterchainTokenService', 'InterchainTokenFactoryImplementation', 'InterchainTokenFactory']);
+        expect(await service.owner()).to.equal(wallet.address);
+    });
+
+    it('Should record proxies that were deployed without being recorded', async () => {
+        const { deployed, service } = await deployWithManifest(wallet, chainName, config, manifestPath);
+        const manifest = readManifest();
+
+        // A run that failed after the proxy deployments were mined, but before they were written to the manifest
+        const { InterchainTokenService, InterchainTokenFactory, ...contracts } = manifest[chainName].contracts;
+        fs.writeFileSync(manifestPath, JSON.stringify({ [chainName]: { ...manifest[chainName], contracts } }));
+
+        const rerun = await deployWithManifest(wallet, chainName, config, manifestPath);
+
+        expect(rerun.deployed).to.deep.equal([]);
+        expect(rerun.recorded).to.deep.equal(['InterchainTokenService', 'InterchainTokenFactory']);
+        expect(rerun.service.address).to.equal(service.address);
+        expect(Object.keys(readManifest()[chainName].contracts)).to.have.members(deployed);
+        expect(readManifest()[chainName].contracts.InterchainTokenService).to.deep.equal(InterchainTokenService);
+    });
+
+    it('Should not record proxies that were deployed with another owner', async () => {
+        const [, otherWallet] = await ethers.getSigners();
+        const { service } = await deployWithManifest(wallet, chainName, config, manifestPath);
+        const manifest = readManifest();
+
+        const { InterchainTokenService, ...contracts } = manifest[chainName].contracts;
+        fs.writeFileSync(manifestPath, JSON.stringify({ [chainName]: { ...manifest[chainName], contracts } }));
+
+        await deployWithManifest(wallet, chainName, { ...config, owner: otherWallet.address }, manifestPath).then(
+            () => expect.fail('Expected the deployment to fail'),
+            (error) =>
+                expect(error.message).to.equal(
+                    `InterchainTokenService is already deployed at ${service.address} with the owner ${wallet.address}, not ${otherWallet.address}`,
+                ),
+        );
+        expect(readManifest()[chainName].contracts.InterchainTokenService).to.be.undefined;
+    });
+
+    it('Should record a configured Create3Deployer', async () => {
+        const create3Deployer = await new ethers.ContractFactory(Create3Deployer.abi, Create3Deployer.bytecode, wallet)
+            .deploy()
+            .then((d) => d.deployed());
+
+        const { deployed, recorded } = await deployWithManifest(
+            wallet,
+            chainName,
+            { ...config, create3Deployer: create3Deployer.address },
+            manifestPath,
+        );
+
+        expect(deployed).to.not.include('Create3Deployer');
+        expect(recorded).to.deep.equal(['Create3Deployer']);
+        expect(readManifest()[chainName].contracts.Create3Deployer).to.deep.equal({
+            address: create3Deployer.address,
+            args: [],
+            configured: true,
+        });
+
+        const rerun = await deployWithManifest(wallet, chainName, config, manifestPath);
+        expect(rerun.skipped).to.include('Create3Deployer');
+
+        await deployWithManifest(wallet, chainName, { ...config, create3Deployer: config.gateway }, manifestPath).then(
+            () => expect.fail('Expected the deployment to fail'),
+            (error) =>
+                expect(error.message).to.equal(
+                    `Create3Deployer is in the manifest at ${create3Deployer.address}, not at ${config.gateway}`,
+                ),
+        );
+    });
+
+    it('Should not skip contracts whose constructor arguments changed', async () => {
+        await deployWithManifest(wallet, chainName, config, manifestPath);
+
+        await deployWithManifest(wallet, chainName, { ...config, itsHubAddress: 'axelar1changed' }, manifestPath).then(
+            () => expect.fail('Expected the deployment to fail'),
+            (error) => expect(error.message).to.match(/^Constructor arguments of InterchainTokenServiceImplementation changed/),
+        );
+    });
+
+    it('Should reject manifests of another deployer', async () => {
+        const [, otherWallet] = await ethers.getSigners();
+
+        await deployWithManifest(wallet, chainName, config, manifestPath);
+
+        await deployWithManifest(otherWallet, chainName, config, manifestPath).then(
+            () => expect.fail('Expected the deployment to fail'),
+            (error) =>
+                expect(error.message).to.equal(
+                    `Manifest of chain ${chainName} was deployed by ${wallet.address}, not ${otherWallet.address}`,
+                ),
+        );
+    });
+
+    describe('Verification', () => {
+        it('Should verify a deployment against its manifest', async () => {
+            const { manifest } = await deployWithManifest(wallet, chainName, config, manifestPath);
+            const expected = getExpectedDeployment(chainName, manifest, { deployer: manifest.deployer, ...config });
+
+            const { ok, checks, mismatches } = await verifyDeployment(wallet.provider, expected);
+
+            expect(mismatches).to.deep.equal([]);
+            expect(ok).to.be.true;
+            expect(checks.map(({ name }) => name)).to.include.members([
+                'gateway',
+                'itsHubAddress',
+                'chainNameHash',
+                'implementation',
+                'isTrustedChain(other chain)',
+                `isOperator(${wallet.address})`,
+                'factory.interchainTokenService',
+            ]);
+        });
+
+        it('Should report trusted chains that are not expected', async () => {
+            const { manifest, service } = await deployWithManifest(wallet, chainName, config, manifestPath);
+            const expected = getExpectedDeployment(chainName, manifest, { deployer: manifest.deployer, ...config });
+
+            await service.setTrustedChain('extra chain').then((tx) => tx.wait());
+            await service.setTrustedChain('stale chain').then((tx) => tx.wait());
+            await service.removeTrustedChain('stale chain').then((tx) => tx.wait());
+
+            const { ok, mismatches } = await verifyDeployment(wallet.provider, expected);
+
+            expect(ok).to.be.false;
+            expect(mismatches).to.deep.equal([{ name: 'isTrustedChain(extra chain)', expected: false, actual: true, ok: false }]);
+        });
+
+        it('Should report every mismatch', async () => {
+            const [, otherWallet] = await ethers.getSigners();
+            const { manifest } = await deployWithManifest(wallet, chainName, config, manifestPath);
+            const expected = getExpectedDeployment(chainName, manifest, {
+                ...config,
+                deployer: manifest.deployer,
+                gasService: config.gateway,
+                trustedChains: ['other chain', 'untrusted chain'],
+                owner: otherWallet.address,
+            });
+
+            const { ok, mismatches } = await verifyDeployment(wallet.provider, expected);
+
+            expect(ok).to.be.false;
+            expect(mismatches.map(({ name }) => name)).to.deep.equal([
+                'gasService',
+                'owner',
+                'isTrustedChain(untrusted chain)',
+                'factory.owner',
+            ]);
+            expect(mismatches[0]).to.deep.include({ expected: config.gateway, actual: config.gasService });
+        });
+    });
+});
@@ -9,6 +9,7 @@ const {
 const { expect } = require('chai');
 const { getRandomBytes32, expectRevert, getChainId } = require('./utils');
 const { deployContract } = require('../scripts/deploy');
+const { getPermitDomain, signPermit } = require('../scripts/permit');
 
 describe('ERC20 Permit', () => {
     let interchainToken, interchainTokenDeployer;
@@ -186,4 +187,27 @@ describe('ERC20 Permit', () => {
             'InvalidSignature',
         );
     });
+
+    it('should set allowance with a permit signed by the SDK', async () => {
+        const allowance = 10000;
+        const nonce = await token.nonces(owner.address);
+
+        const permit = await signPermit(owner, token.address, { spender: user.address, value: allowance });
+
+        expect(await getPermitDomain(owner.provider, token.address)).to.deep.equal({
+            name,
+            version: '1',
+            chainId: getChainId(),
+            verifyingContract: token.address,
+        });
+        expect(permit.nonce).to.equal(nonce);
+
+        await expect(
+            token
+                .connect(user)
+                .permit(permit.owner, permit.spender, permit.value, permit.deadline, permit.v, permit.r, permit.s, { gasLimit: 8000000 }),
+        )
+            .to.emit(token, 'Approval')
+            .withArgs(owner.address, user.address, allowance);
+    });
 });
@@ -0,0 +1,68 @@
+'use strict';
+
+const chai = require('chai');
+const { expect } = chai;
+const { ethers } = require('hardhat');
+const {
+    utils: { defaultAbiCoder, solidityPack },
+} = ethers;
+const sdk = require('..');
+const { FLOW_LIMITER_ROLE } = require('./constants');
+
+describe('Errors', () => {
+    const { errorInterface } = sdk;
+    const tokenManager = ethers.Wallet.createRandom().address;
+
+    it('Should decode errors wrapped by the service', () => {
+        const flowLimitExceeded = errorInterface.encodeErrorResult('FlowLimitExceeded', [100, 150, tokenManager]);
+        const data = errorInterface.encodeErrorResult('GiveTokenFailed(bytes)', [flowLimitExceeded]);
+
+        const decoded = sdk.decodeError(data);
+
+        expect(decoded.name).to.equal('GiveTokenFailed');
+        expect(decoded.cause.signature).to.equal('FlowLimitExceeded(uint256,uint256,address)');
+        expect(sdk.formatError(decoded)).to.equal(
+            `GiveTokenFailed(${flowLimitExceeded}) caused by FlowLimitExceeded(100, 150, ${tokenManager})`,
+        );
+    });
+
+    it('Should decode overloaded errors by their selector', () => {
+        expect(sdk.decodeError(errorInterface.encodeErrorResult('TakeTokenFailed()')).cause).to.be.undefined;
+        expect(sdk.formatError(sdk.decodeError(errorInterface.encodeErrorResult('TakeTokenFailed(bytes)', ['0x'])))).to.equal(
+            'TakeTokenFailed(0x) caused by empty revert data',
+        );
+        expect(
+            sdk.decodeError(errorInterface.encodeErrorResult('NotToken(address,address)', [tokenManager, tokenManager])).args,
+        ).to.deep.equal([tokenManager, tokenManager]);
+    });
+
+    it('Should decode gateway, gas service and role errors', () => {
+        expect(sdk.decodeError(errorInterface.encodeErrorResult('TokenDoesNotExist', ['USDC'])).args).to.deep.equal(['USDC']);
+        expect(sdk.decodeError(errorInterface.encodeErrorResult('InvalidAmounts')).name).to.equal('InvalidAmounts');
+        expect(
+            sdk.formatError(sdk.decodeError(errorInterface.encodeErrorResult('MissingRole', [tokenManager, FLOW_LIMITER_ROLE]))),
+        ).to.equal(`MissingRole(${tokenManager}, ${FLOW_LIMITER_ROLE})`);
+    });
+
+    it('Should decode revert reasons and panics', () => {
+        const reason = solidityPack(['bytes4', 'bytes'], ['0x08c379a0', defaultAbiCoder.encode(['string'], ['reverted'])]);
+        const panic = solidityPack(['bytes4', 'bytes'], ['0x4e487b71', defaultAbiCoder.encode(['uint256'], [0x11])]);
+
+        expect(sdk.formatError(sdk.decodeError(reason))).to.equal('Error(reverted)');
+        expect(sdk.formatError(sdk.decodeError(panic))).to.equal('Panic(17)');
+    });
+
+    it('Should report unknown selectors and empty revert data', () => {
+        expect(sdk.decodeError('0x')).to.be.null;
+        expect(sdk.decodeError('0x12345678')).to.deep.include({ name: null, selector: '0x12345678' });
+        expect(sdk.formatError(sdk.decodeError('0x12345678'))).to.equal('unknown error 0x12345678');
+    });
+
+    it('Should find the revert data nested in provider errors', () => {
+        const data = errorInterface.encodeErrorResult('ZeroAmount');
+
+        expect(sdk.getRevertData({ error: { error: { data } } })).to.equal(data);
+        expect(sdk.getRevertData({ cause: { data: { data } } })).to.equal(data);
+        expect(sdk.getRevertData(new Error('no data'))).to.be.null;
+    });
+});
@@ -0,0 +1,158 @@
+'use strict';
+
+const chai = require('chai');
+const { expect } = chai;
+const { ethers } = require('hardhat');
+const {
+    constants: { HashZero },
+    utils: { defaultAbiCoder },
+} = ethers;
+const sdk = require('..');
+const { getRandomBytes32 } = require('./utils');
+const { LOCK_UNLOCK } = require('./constants');
+
+describe('Events', () => {
+    const { eventInterface } = sdk;
+    const tokenId = getRandomBytes32();
+    const address = ethers.Wallet.createRandom().address;
+    const transactionHash = getRandomBytes32();
+
+    const toLog = (name, args, logIndex = 0) => ({
+        ...eventInterface.encodeEventLog(eventInterface.getEvent(name), args),
+        address,
+        blockNumber: 1,
+        transactionHash,
+        logIndex,
+    });
+
+    it('Should parse an interchain transfer', () => {
+        const dataHash = getRandomBytes32();
+        const log = toLog('InterchainTransfer', [tokenId, address, 'destination chain', '0x1234', 100, dataHash]);
+
+        const { name, args, ...rest } = sdk.parseItsLog(log);
+
+        expect(name).to.equal('InterchainTransfer');
+        expect(rest).to.deep.equal({ address, blockNumber: 1, transactionHash, logIndex: 0 });
+        expect(args).to.deep.include({
+            tokenId,
+            sourceAddress: address,
+            destinationChain: 'destination chain',
+            destinationAddress: '0x1234',
+            dataHash,
+        });
+        expect(args.amount).to.equal(100);
+    });
+
+    it('Should decode the operator and token address of a token manager deployment', () => {
+        const params = defaultAbiCoder.encode(['bytes', 'address'], [address, address]);
+        const log = toLog('TokenManagerDeployed', [tokenId, address, LOCK_UNLOCK, params]);
+
+        expect(sdk.parseItsLog(log).args).to.deep.equal({
+            tokenId,
+            tokenManager: address,
+            tokenManagerType: LOCK_UNLOCK,
+            params,
+            operator: address.toLowerCase(),
+            operatorAddress: address,
+            tokenAddress: address,
+        });
+    });
+
+    it('Should keep the raw params of token manager deployments that cannot be decoded', () => {
+        const log = toLog('TokenManagerDeployed', [tokenId, address, LOCK_UNLOCK, '0x1234']);
+        const transfer = toLog('InterchainTransfer', [tokenId, address, 'destination chain', '0x5678', 100, HashZero], 1);
+
+        expect(sdk.parseItsLog(log).args).to.deep.equal({
+            tokenId,
+            tokenManager: address,
+            tokenManagerType: LOCK_UNLOCK,
+            params: '0x1234',
+        });
+        expect(sdk.parseItsReceipt({ logs: [log, transfer] }).map(({ name }) => name)).to.deep.equal([
+            'TokenManagerDeployed',
+            'InterchainTransfer',
+        ]);
+    });
+
+    it('Should parse flow limit and factory approval events', () => {
+        const flowLimitSet = sdk.parseItsLog(toLog('FlowLimitSet', [tokenId, address, 500]));
+        expect(flowLimitSet.args.flowLimit).to.equal(500);
+
+        const approval = sdk.parseItsLog(
+            toLog('DeployRemoteInterchainTokenApproval', [address, address, tokenId, 'destination chain', '0x5678']),
+        );
+        expect(approval.args).to.deep.equal({
+            minter: address,
+            deployer: address,
+            tokenId,
+            destinationChain: 'destination chain',
+            destinationMinter: '0x5678',
+        });
+    });
+
+    it('Should skip unrelated logs in a receipt', () => {
+        const logs = [
+            { address, topics: [getRandomBytes32()], data: '0x' },
+            toLog('InterchainTokenIdClaimed', [tokenId, address, getRandomBytes32()], 1),
+            toLog('TokenMetadataRegistered', [address, 18], 2),
+        ];
+
+        expect(sdk.parseItsReceipt({ logs }).map(({ name, logIndex }) => [name, logIndex])).to.deep.equal([
+            ['InterchainTokenIdClaimed', 1],
+            ['TokenMetadataRegistered', 2],
+        ]);
+    });
+
+    it('Should query a block range for the requested events', async () => {
+        const log = toLog('TokenMetadataRegistered', [address, 18]);
+        let filter;
+        const provider = {
+            async getBlockNumber() {
+                return 20;
+            },
+            async getLogs(query) {
+                filter = query;
+                return [log];
+            },
+        };
+
+        const events = await sdk.getItsEvents(provider, { address, fromBlock: 10, eventNames: ['TokenMetadataRegistered'] });
+
+        expect(filter).to.deep.equal({
+            address,
+            fromBlock: 10,
+            toBlock: 20,
+            topics: [[eventInterface.getEventTopic('TokenMetadataRegistered')]],
+        });
+        expect(events[0].args).to.deep.equal({ tokenAddress: address, decimals: 18 });
+    });
+
+    it('Should query a block range in chunks', async () => {
+        const ranges = [];
+        const provider = {
+            async getLogs({ fromBlock, toBlock }) {
+                ranges.push([fromBlock, toBlock]);
+                return [{ ...toLog('TokenMetadataRegistered', [address, fromBlock]), blockNumber: fromBlock }];
+            },
+        };
+
+        const events = await sdk.getItsEvents(provider, { fromBlock: 5, toBlock: 29, chunkSize: 10 });
+
+        expect(ranges).to.deep.equal([
+            [5, 14],
+            [15, 24],
+            [25, 29],
+        ]);
+        expect(events.map(({ blockNumber }) => blockNumber)).to.deep.equal([5, 15, 25]);
+        expect(sdk.DEFAULT_BLOCK_CHUNK_SIZE).to.equal(10000);
+    });
+
+    it('Should reject invalid chunk sizes', async () => {
+        for (const chunkSize of [0, -1, 1.5]) {
+            await sdk.getItsEvents({}, { toBlock: 10, chunkSize }).then(
+                () => expect.fail('Expected the query to fail'),
+                (error) => expect(error.message).to.equal(`Invalid block chunk size ${chunkSize}`),
+            );
+        }
+    });
+});
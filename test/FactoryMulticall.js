@@ -0,0 +1,70 @@
+'use strict';
+
+const chai = require('chai');
+const { expect } = chai;
+const { ethers } = require('hardhat');
+const sdk = require('..');
+const { getRandomBytes32 } = require('./utils');
+
+describe('Factory Multicall', () => {
+    const { factoryInterface } = sdk;
+    const tokenAddress = ethers.Wallet.createRandom().address;
+
+    it('Should compose a canonical deployment with the summed gas value', () => {
+        const steps = sdk.planCanonicalDeployment(tokenAddress, { 'chain A': 100, 'chain B': 200, 'chain C': 300 });
+        const { calls, data, value } = sdk.composeFactoryMulticall(steps);
+
+        expect(value).to.equal(600);
+        expect(calls.map(({ method }) => method)).to.deep.equal([
+            'registerCanonicalInterchainToken',
+            'deployRemoteCanonicalInterchainToken',
+            'deployRemoteCanonicalInterchainToken',
+            'deployRemoteCanonicalInterchainToken',
+        ]);
+
+        const [encodedCalls] = factoryInterface.decodeFunctionData('multicall', data);
+        expect(encodedCalls).to.deep.equal(calls.map(({ data }) => data));
+
+        const { args } = factoryInterface.parseTransaction({ data: encodedCalls[2] });
+        expect([...args]).to.deep.equal([tokenAddress, 'chain B', calls[2].gasValue]);
+        expect(calls[2].gasValue).to.equal(200);
+    });
+
+    it('Should compose an interchain token deployment', () => {
+        const salt = getRandomBytes32();
+        const token = { salt, name: 'Token Name', symbol: 'TN', decimals: 18, initialSupply: 1000, minter: tokenAddress };
+        const { calls, value } = sdk.composeFactoryMulticall(sdk.planInterchainTokenDeployment(token, { 'chain A': 5 }));
+
+        expect(calls[0].args).to.deep.equal([salt, 'Token Name', 'TN', 18, 1000, tokenAddress]);
+        expect(calls[0].gasValue).to.equal(0);
+        expect(calls[1].args.slice(0, 2)).to.deep.equal([salt, 'chain A']);
+        expect(value).to.equal(5);
+    });
+
+    it('Should allocate quoted gas values to the remote deployments', async () => {
+        const feeSource = sdk.createStaticFeeSource({
+            axelar: { axelarBaseFee: 1000, relativeGasPrice: 1 },
+            'chain A': { axelarBaseFee: 10, relativeGasPrice: 1 },
+            'chain B': { axelarBaseFee: 20, relativeGasPrice: 2 },
+        });
+        const token = { sourceChain: 'source chain', tokenAddress, name: 'Token Name', symbol: 'TN', decimals: 18 };
+
+        const gasValues = await sdk.quoteCanonicalDeployment(feeSource, token, ['chain A', 'chain B']);
+        const { value: quoteA } = await sdk.quoteDeployRemoteInterchainToken(feeSource, {
+            ...token,
+            tokenId: sdk.canonicalInterchainTokenId(sdk.getChainNameHash('source chain'), tokenAddress),
+            destinationChain: 'chain A',
+        });
+
+        expect(Object.keys(gasValues)).to.deep.equal(['chain A', 'chain B']);
+        expect(gasValues['chain A']).to.equal(quoteA);
+        expect(gasValues['chain B']).to.be.gt(quoteA);
+        expect(sdk.composeFactoryMulticall(sdk.planCanonicalDeployment(tokenAddress, gasValues)).value).to.equal(
+            gasValues['chain A'].add(gasValues['chain B']),
+        );
+    });
+
+    it('Should reject unsupported methods', () => {
+        expect(() => sdk.composeFactoryMulticall([{ method: 'upgrade' }])).to.throw('Unsupported factory method upgrade');
+    });
+});
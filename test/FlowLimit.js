@@ -10,6 +10,7 @@ const { time } = require('@nomicfoundation/hardhat-network-helpers');
 const { expect } = chai;
 const { expectRevert, isHardhat, waitFor } = require('./utils');
 const { deployContract } = require('../scripts/deploy');
+const { getFlowEpoch, getFlowHistory } = require('../scripts/flowLimit');
 
 let ownerWallet;
 
@@ -95,6 +96,28 @@ describe('FlowLimit', async () => {
         await test.addFlowOut(flowLimit).then((tx) => tx.wait());
     });
 
+    it('Should read the flow amounts of past epochs from storage', async () => {
+        const testEpochTime = 60;
+        const getEpoch = async () => getFlowEpoch((await ethers.provider.getBlock('latest')).timestamp, testEpochTime);
+
+        await test.setFlowLimit(flowLimit).then((tx) => tx.wait());
+        await test.addFlowIn(2).then((tx) => tx.wait());
+        await test.addFlowOut(1).then((tx) => tx.wait());
+        const firstEpoch = await getEpoch();
+
+        await nextEpoch();
+
+        await test.addFlowOut(2).then((tx) => tx.wait());
+        const lastEpoch = await getEpoch();
+
+        const [first] = await getFlowHistory(ethers.provider, test.address, firstEpoch);
+        const [last] = await getFlowHistory(ethers.provider, test.address, lastEpoch);
+
+        expect(first).to.deep.equal({ epoch: firstEpoch, flowInAmount: BigNumber.from(2), flowOutAmount: BigNumber.from(1) });
+        expect(last).to.deep.equal({ epoch: lastEpoch, flowInAmount: BigNumber.from(0), flowOutAmount: BigNumber.from(2) });
+        expect(last.flowOutAmount).to.equal(await test.flowOutAmount());
+    });
+
     const flipFlows = (flows) => flows.map((f) => (f.in ? { out: f.in } : { in: f.out }));
 
     const getErrorArgs = async (error, isInbound, flowAmount, flowIn, flowOut, flowLimit, test) => {
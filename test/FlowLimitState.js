@@ -0,0 +1,149 @@
+'use strict';
+
+const chai = require('chai');
+const { expect } = chai;
+const { ethers } = require('hardhat');
+const {
+    constants: { HashZero, MaxUint256 },
+    utils: { defaultAbiCoder, hexZeroPad, keccak256, toUtf8Bytes },
+} = ethers;
+const sdk = require('..');
+
+describe('Flow Limit State', () => {
+    const tokenManager = ethers.Wallet.createRandom().address;
+    const epochStart = 1000 * sdk.EPOCH_TIME;
+    const state = { tokenManager, flowLimit: 100, flowInAmount: 30, flowOutAmount: 10, timestamp: epochStart + 60 };
+
+    it('Should bucket timestamps into 6 hour epochs', () => {
+        expect(sdk.getFlowEpoch(epochStart)).to.equal(1000);
+        expect(sdk.getFlowEpoch(epochStart + sdk.EPOCH_TIME - 1)).to.equal(1000);
+        expect(sdk.getFlowEpoch(epochStart + sdk.EPOCH_TIME)).to.equal(1001);
+    });
+
+    it('Should net the flow in and out amounts', () => {
+        const simulation = sdk.simulateFlow(state, sdk.FlowDirection.IN, 80);
+
+        expect(simulation).to.deep.include({ success: true, error: null, epoch: 1000, epochEndsIn: sdk.EPOCH_TIME - 60 });
+        expect(simulation.flowInAmount).to.equal(110);
+        expect(simulation.flowOutAmount).to.equal(10);
+        expect(simulation.headroom).to.equal(0);
+        expect(sdk.simulateFlow(state, sdk.FlowDirection.OUT, 100).headroom).to.equal(20);
+    });
+
+    it('Should report the error that the token manager would revert with', () => {
+        const { success, error, flowInAmount, headroom } = sdk.simulateFlow(state, sdk.FlowDirection.IN, 81);
+
+        expect(success).to.be.false;
+        expect(error.name).to.equal('FlowLimitExceeded');
+        expect(error.args).to.deep.equal(['100', '101', tokenManager]);
+        expect(flowInAmount).to.equal(30);
+        expect(headroom).to.equal(80);
+
+        expect(sdk.simulateFlow(state, sdk.FlowDirection.OUT, 101).error.name).to.equal('FlowAmountExceededLimit');
+        expect(
+            sdk.simulateFlow({ ...state, flowLimit: MaxUint256, flowInAmount: MaxUint256 }, sdk.FlowDirection.IN, 1).error.name,
+        ).to.equal('FlowAmountOverflow');
+    });
+
+    it('Should reset the flow amounts in the next epoch', () => {
+        const simulation = sdk.simulateFlow(state, sdk.FlowDirection.OUT, 100, { timestamp: epochStart + sdk.EPOCH_TIME });
+
+        expect(simulation).to.deep.include({ success: true, epoch: 1001, epochEndsIn: sdk.EPOCH_TIME });
+        expect(simulation.flowInAmount).to.equal(0);
+        expect(simulation.flowOutAmount).to.equal(100);
+    });
+
+    it('Should not limit flows without a flow limit', () => {
+        const simulation = sdk.simulateFlow({ ...state, flowLimit: 0 }, sdk.FlowDirection.IN, MaxUint256);
+
+        expect(simulation).to.deep.include({ success: true, headroom: null });
+        expect(simulation.flowInAmount).to.equal(30);
+    });
+
+    it('Should simulate sequences of flows like the token manager', () => {
+        const testCases = [
+            { flowLimit: 10, flows: [{ in: 5 }, { in: 5 }, { out: 10 }, { out: 10 }, { in: 1 }, { in: 10 }, { in: 9 }] },
+            { flowLimit: MaxUint256, flows: [{ in: MaxUint256.sub(1) }, { out: MaxUint256 }, { in: 1 }] },
+            { flowLimit: 1, flows: [{ in: 1 }, { out: 1 }, { out: 1 }, { in: 2 }], error: ['FlowAmountExceededLimit', 1, 2] },
+            {
+                flowLimit: MaxUint256.sub(1),
+                flows: [{ in: 1 }, { out: 2 }, { out: MaxUint256.sub(1) }],
+                error: ['FlowAmountOverflow', MaxUint256.sub(1), 2],
+            },
+            { flowLimit: 10, flows: [{ in: 10 }, { out: 10 }, { in: 1 }, { in: 10 }], error: ['FlowLimitExceeded', 10, 11] },
+        ];
+        const flipFlows = (flows) => flows.map((flow) => (flow.in ? { out: flow.in } : { in: flow.out }));
+
+        for (const { flowLimit, flows, error } of testCases) {
+            for (const sequence of [flows, flipFlows(flows)]) {
+                let flowState = { tokenManager, flowLimit };
+
+                for (const [index, flow] of sequence.entries()) {
+                    const direction = flow.in ? sdk.FlowDirection.IN : sdk.FlowDirection.OUT;
+                    const simulation = sdk.simulateFlow(flowState, direction, flow.in || flow.out);
+
+                    if (error && index === sequence.length - 1) {
+                        const [name, ...args] = error;
+
+                        expect(simulation.error.name).to.equal(name);
+                        expect(simulation.error.args).to.deep.equal([...args.map(String), tokenManager]);
+                    } else {
+                        expect(simulation.success).to.be.true;
+                    }
+
+                    flowState = { ...flowState, flowInAmount: simulation.flowInAmount, flowOutAmount: simulation.flowOutAmount };
+                }
+            }
+        }
+    });
+
+    it('Should read the flow history from the flow amount slots', async () => {
+        const storage = {
+            [sdk.getFlowInSlot(1000)]: hexZeroPad('0x1e', 32),
+            [sdk.getFlowOutSlot(1001)]: hexZeroPad('0x0a', 32),
+        };
+        const provider = {
+            async getStorageAt(address, slot, blockTag) {
+                expect([address, blockTag]).to.deep.equal([tokenManager, 'latest']);
+                return storage[slot] || HashZero;
+            },
+        };
+
+        const history = await sdk.getFlowHistory(provider, tokenManager, 1000, 1001);
+
+        expect(history.map(({ epoch, flowInAmount, flowOutAmount }) => [epoch, Number(flowInAmount), Number(flowOutAmount)])).to.deep.equal(
+            [
+                [1000, 30, 0],
+                [1001, 0, 10],
+            ],
+        );
+        expect(sdk.getFlowOutSlot(1000)).to.equal(
+            keccak256(defaultAbiCoder.encode(['uint256', 'uint256'], [keccak256(toUtf8Bytes('flow-out-amount')), 1000])),
+        );
+    });
+
+    it('Should read long flow histories in batches of epochs', async () => {
+        let pending = 0;
+        let maxPending = 0;
+        const provider = {
+            async getStorageAt() {
+                maxPending = Math.max(maxPending, ++pending);
+                await new Promise((resolve) => setImmediate(resolve));
+                pending--;
+
+                return HashZero;
+            },
+        };
+
+        const history = await sdk.getFlowHistory(provider, tokenManager, 1000, 1000 + 2 * sdk.FLOW_HISTORY_BATCH_SIZE);
+
+        expect(history.map(({ epoch }) => epoch)).to.deep.equal(
+            Array.from({ length: 2 * sdk.FLOW_HISTORY_BATCH_SIZE + 1 }, (_, i) => 1000 + i),
+        );
+        expect(maxPending).to.equal(2 * sdk.FLOW_HISTORY_BATCH_SIZE);
+
+        maxPending = 0;
+        await sdk.getFlowHistory(provider, tokenManager, 1000, 1009, 'latest', 3);
+        expect(maxPending).to.equal(6);
+    });
+});
@@ -0,0 +1,122 @@
+'use strict';
+
+const chai = require('chai');
+const { expect } = chai;
+const { ethers } = require('hardhat');
+const sdk = require('..');
+const {
+    getRandomBytes32,
+    encodeReceiveHubMessage,
+    encodeSendHubMessage,
+    encodeLinkTokenMessage,
+    encodeRegisterTokenMetadataMessage,
+} = require('./utils');
+const { MESSAGE_TYPE_INTERCHAIN_TRANSFER, LOCK_UNLOCK, ITS_HUB_CHAIN } = require('./constants');
+
+describe('Gas Quote', () => {
+    const sourceChain = 'source chain';
+    const destinationChain = 'destination chain';
+    const account = ethers.Wallet.createRandom().address;
+    const gasInfo = {
+        axelar: { axelarBaseFee: 1000, relativeGasPrice: 2 },
+        [destinationChain]: { axelarBaseFee: 500, relativeGasPrice: 3 },
+    };
+    const feeSource = sdk.createStaticFeeSource(gasInfo);
+    const tokenId = getRandomBytes32();
+
+    const transfer = (data) => ({
+        tokenId,
+        sourceChain,
+        destinationChain,
+        sourceAddress: account,
+        destinationAddress: account,
+        amount: 1234,
+        data,
+    });
+
+    it('Should quote both hops of a message routed through the hub', async () => {
+        const message = sdk.encodeInterchainTransferMessage(tokenId, account, account, 1234, '0x');
+        const { hops, value } = await sdk.quoteInterchainTransfer(feeSource, transfer());
+        const [hubHop, destinationHop] = hops;
+
+        expect(hubHop).to.include({ sourceChain, destinationChain: ITS_HUB_CHAIN, gasLimit: sdk.HUB_GAS_LIMIT });
+        expect(hubHop.payload).to.equal(encodeSendHubMessage(destinationChain, message).payload);
+        expect(hubHop.fee).to.equal(1000 + 2 * sdk.HUB_GAS_LIMIT);
+
+        expect(destinationHop).to.include({ sourceChain: ITS_HUB_CHAIN, destinationChain });
+        expect(destinationHop.payload).to.equal(encodeReceiveHubMessage(sourceChain, message).payload);
+        expect(destinationHop.gasLimit).to.be.gt(sdk.EXECUTION_GAS_LIMITS[MESSAGE_TYPE_INTERCHAIN_TRANSFER]);
+        expect(destinationHop.fee).to.equal(500 + 3 * destinationHop.gasLimit);
+
+        expect(value).to.equal(hubHop.fee.add(destinationHop.fee));
+    });
+
+    it('Should add the callback gas to transfers with data', async () => {
+        const { hops } = await sdk.quoteInterchainTransfer(feeSource, transfer());
+        const { hops: hopsWithData } = await sdk.quoteInterchainTransfer(feeSource, transfer('0x1234'));
+
+        expect(hopsWithData[1].gasLimit - hops[1].gasLimit).to.be.gte(sdk.CALLBACK_GAS_LIMIT);
+    });
+
+    it('Should use the execution gas limit override', async () => {
+        const { hops, value } = await sdk.quoteDeployRemoteInterchainToken(
+            feeSource,
+            { tokenId, sourceChain, destinationChain, name: 'Token Name', symbol: 'TN', decimals: 18 },
+            { executionGasLimit: 100, hubGasLimit: 200 },
+        );
+
+        expect(hops.map(({ gasLimit }) => gasLimit)).to.deep.equal([200, 100]);
+        expect(value).to.equal(1000 + 2 * 200 + 500 + 3 * 100);
+    });
+
+    it('Should use the gas limits configured for the destination chain', async () => {
+        const chainGasLimits = { [destinationChain]: { [MESSAGE_TYPE_INTERCHAIN_TRANSFER]: 50000 } };
+        const { hops } = await sdk.quoteInterchainTransfer(feeSource, transfer());
+        const { hops: configuredHops } = await sdk.quoteInterchainTransfer(feeSource, transfer(), { chainGasLimits });
+        const { hops: otherChainHops } = await sdk.quoteInterchainTransfer(feeSource, transfer(), {
+            chainGasLimits: { 'other chain': chainGasLimits[destinationChain] },
+        });
+
+        expect(hops[1].gasLimit - configuredHops[1].gasLimit).to.equal(sdk.EXECUTION_GAS_LIMITS[MESSAGE_TYPE_INTERCHAIN_TRANSFER] - 50000);
+        expect(otherChainHops[1].gasLimit).to.equal(hops[1].gasLimit);
+    });
+
+    it('Should estimate more gas for deployments than for links', async () => {
+        const { hops: deployHops } = await sdk.quoteDeployRemoteInterchainToken(feeSource, {
+            tokenId,
+            sourceChain,
+            destinationChain,
+            name: 'Token Name',
+            symbol: 'TN',
+            decimals: 18,
+        });
+        const { hops: linkHops } = await sdk.quoteLinkToken(feeSource, {
+            tokenId,
+            sourceChain,
+            destinationChain,
+            tokenManagerType: LOCK_UNLOCK,
+            sourceTokenAddress: account,
+            destinationTokenAddress: account,
+        });
+
+        expect(deployHops[1].gasLimit).to.be.gt(linkHops[1].gasLimit);
+        expect(linkHops[1].payload).to.equal(
+            encodeReceiveHubMessage(sourceChain, encodeLinkTokenMessage(tokenId, LOCK_UNLOCK, account, account, '0x')).payload,
+        );
+    });
+
+    it('Should only quote the hub hop for metadata registrations', async () => {
+        const { hops, value } = await sdk.quoteRegisterTokenMetadata(feeSource, { sourceChain, tokenAddress: account, decimals: 18 });
+
+        expect(hops).to.have.lengthOf(1);
+        expect(hops[0].payload).to.equal(encodeRegisterTokenMetadataMessage(account, 18).payload);
+        expect(value).to.equal(1000 + 2 * sdk.HUB_GAS_LIMIT);
+    });
+
+    it('Should reject chains without gas info', async () => {
+        await sdk.quoteInterchainTransfer(feeSource, { ...transfer(), destinationChain: 'unknown chain' }).then(
+            () => expect.fail('Expected the quote to fail'),
+            (error) => expect(error.message).to.equal('No gas info for chain unknown chain'),
+        );
+    });
+});
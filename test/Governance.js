@@ -0,0 +1,52 @@
+'use strict';
+
+const chai = require('chai');
+const { expect } = chai;
+const { ethers } = require('hardhat');
+const {
+    utils: { defaultAbiCoder, keccak256 },
+} = ethers;
+const sdk = require('..');
+const { getRandomBytes32 } = require('./utils');
+
+describe('Governance', () => {
+    const target = ethers.Wallet.createRandom().address;
+
+    it('Should build the payload and proposal hash of a time lock proposal', () => {
+        const eta = 1700000000;
+        const { payload, proposalHash, calldata, summary } = sdk.createProposal(target, 'setPauseStatus', [true], { eta });
+
+        expect(calldata).to.equal(sdk.governanceInterface.encodeFunctionData('setPauseStatus', [true]));
+        expect(payload).to.equal(
+            defaultAbiCoder.encode(['uint256', 'address', 'bytes', 'uint256', 'uint256'], [0, target, calldata, 0, eta]),
+        );
+        expect(proposalHash).to.equal(keccak256(defaultAbiCoder.encode(['address', 'bytes', 'uint256'], [target, calldata, 0])));
+        expect(summary.split('\n')).to.deep.equal([
+            `Schedule time lock proposal on ${target}`,
+            'Call: setPauseStatus(paused: true)',
+            'Native value: 0',
+            'Eta: 1700000000 (2023-11-14T22:13:20.000Z)',
+            `Proposal hash: ${proposalHash}`,
+        ]);
+    });
+
+    it('Should build proposals for every admin action', () => {
+        const tokenId = getRandomBytes32();
+        const codeHash = getRandomBytes32();
+
+        const proposals = [
+            ['upgrade', [target, codeHash, '0x']],
+            ['setTrustedChain', ['chain']],
+            ['removeTrustedChain', ['chain']],
+            ['setPauseStatus', [false]],
+            ['migrateInterchainToken', [tokenId]],
+        ].map(([method, args]) => sdk.createProposal(target, method, args, { command: sdk.GovernanceCommand.APPROVE_OPERATOR_PROPOSAL }));
+
+        expect(proposals[4].summary).to.include(`migrateInterchainToken(tokenId: "${tokenId}")`);
+        expect(proposals.map(({ summary }) => summary.split('\n')[3])).to.deep.equal(Array(5).fill('Eta: n/a'));
+    });
+
+    it('Should reject invalid commands', () => {
+        expect(() => sdk.createProposal(target, 'setPauseStatus', [true], { command: 4 })).to.throw('Invalid governance command 4');
+    });
+});
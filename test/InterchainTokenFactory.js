@@ -35,6 +35,17 @@ const {
     DEPLOY_REMOTE_CANONICAL_INTERCHAIN_TOKEN_WITH_ORIGINAL_CHAIN,
 } = require('./constants');
 const { getBytecodeHash } = require('@axelar-network/axelar-chains-config');
+const {
+    getChainNameHash,
+    interchainTokenId,
+    interchainTokenDeploySalt,
+    canonicalInterchainTokenDeploySalt,
+    linkedTokenDeploySalt,
+    factoryInterchainTokenId,
+    canonicalInterchainTokenId,
+    linkedTokenId,
+} = require('../scripts/tokenId');
+const { parseItsReceipt } = require('../scripts/events');
 
 const reportGas = gasReporter('Interchain Token Factory');
 
@@ -102,6 +113,49 @@ describe('InterchainTokenFactory', () => {
         });
     });
 
+    describe('Offline Token Id Derivation', async () => {
+        const salt = getRandomBytes32();
+        const tokenAddress = Wallet.createRandom().address;
+        const chainNameHash = getChainNameHash(chainName);
+
+        it('Should derive the same chain name hash', async () => {
+            expect(chainNameHash).to.eq(await tokenFactory.chainNameHash());
+        });
+
+        it('Should reject empty chain names like the service', () => {
+            expect(() => getChainNameHash(''))
+                .to.throw('InvalidChainName()')
+                .with.property('name', 'InvalidChainName');
+        });
+
+        it('Should derive the same tokenId as the service', async () => {
+            expect(interchainTokenId(wallet.address, salt)).to.eq(await service.interchainTokenId(wallet.address, salt));
+            expect(interchainTokenId(AddressZero, salt)).to.eq(await service.interchainTokenId(AddressZero, salt));
+        });
+
+        it('Should derive the same deploy salts as the factory', async () => {
+            expect(interchainTokenDeploySalt(chainNameHash, wallet.address, salt)).to.eq(
+                await tokenFactory.interchainTokenDeploySalt(wallet.address, salt),
+            );
+            expect(canonicalInterchainTokenDeploySalt(chainNameHash, tokenAddress)).to.eq(
+                await tokenFactory.canonicalInterchainTokenDeploySalt(tokenAddress),
+            );
+            expect(linkedTokenDeploySalt(chainNameHash, wallet.address, salt)).to.eq(
+                await tokenFactory.linkedTokenDeploySalt(wallet.address, salt),
+            );
+        });
+
+        it('Should derive the same tokenIds as the factory', async () => {
+            expect(factoryInterchainTokenId(chainNameHash, wallet.address, salt)).to.eq(
+                await tokenFactory.interchainTokenId(wallet.address, salt),
+            );
+            expect(canonicalInterchainTokenId(chainNameHash, tokenAddress)).to.eq(
+                await tokenFactory.canonicalInterchainTokenId(tokenAddress),
+            );
+            expect(linkedTokenId(chainNameHash, wallet.address, salt)).to.eq(await tokenFactory.linkedTokenId(wallet.address, salt));
+        });
+    });
+
     describe('Canonical Interchain Token Factory', async () => {
         let token, tokenId, tokenManagerAddress;
         const tokenCap = BigInt(1e18);
@@ -132,6 +186,28 @@ describe('InterchainTokenFactory', () => {
                 .withArgs(tokenId, tokenManagerAddress, LOCK_UNLOCK, params);
         });
 
+        it('Should parse the token manager deployment from the registration receipt', async () => {
+            const otherToken = await deployContract(wallet, 'TestInterchainTokenStandard', [
+                name,
+                symbol,
+                decimals,
+                service.address,
+                getRandomBytes32(),
+            ]);
+            const otherTokenId = await tokenFactory.canonicalInterchainTokenId(otherToken.address);
+            const receipt = await tokenFactory.registerCanonicalInterchainToken(otherToken.address).then((tx) => tx.wait());
+
+            const [event] = parseItsReceipt(receipt).filter(({ name }) => name === 'TokenManagerDeployed');
+            expect(event.address).to.equal(service.address);
+            expect(event.args).to.deep.include({
+                tokenId: otherTokenId,
+                tokenManager: await service.tokenManagerAddress(otherTokenId),
+                tokenManagerType: LOCK_UNLOCK,
+                operator: '0x',
+                tokenAddress: otherToken.address,
+            });
+        });
+
         it('Should not register a non-existing token', async () => {
             await expectRevert(
                 (gasOptions) => tokenFactory.registerCanonicalInterchainToken(tokenFactory.address, { gasOptions }),
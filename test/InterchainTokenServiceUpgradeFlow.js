@@ -10,6 +10,7 @@ const {
 } = ethers;
 const { getCreate3Address } = require('@axelar-network/axelar-gmp-sdk-solidity');
 const { approveContractCall } = require('../scripts/utils');
+const { GovernanceCommand, createProposal } = require('../scripts/governance');
 const { isHardhat, waitFor, getRandomBytes32, getPayloadAndProposalHash, getContractJSON } = require('./utils');
 const {
     deployContract,
@@ -236,4 +237,34 @@ describe('Interchain Token Service Upgrade Flow', () => {
 
         await testDeployTokenManager();
     });
+
+    it('should set a trusted chain through an operator proposal built for AxelarServiceGovernance', async () => {
+        const trustedChain = 'Trusted Chain';
+        const { payload, proposalHash, calldata, summary } = createProposal(service.address, 'setTrustedChain', [trustedChain], {
+            command: GovernanceCommand.APPROVE_OPERATOR_PROPOSAL,
+        });
+
+        expect(summary).to.include(`setTrustedChain(chainName: "${trustedChain}")`);
+
+        const commandIdGateway = getRandomBytes32();
+
+        await approveContractCall(
+            gateway,
+            governanceChain,
+            governanceAddress,
+            axelarServiceGovernance.address,
+            payload,
+            keccak256('0x123abc123abc'),
+            17,
+            commandIdGateway,
+        );
+
+        await expect(axelarServiceGovernance.execute(commandIdGateway, governanceChain, governanceAddress, payload))
+            .to.emit(axelarServiceGovernance, 'OperatorProposalApproved')
+            .withArgs(proposalHash, service.address, calldata, 0);
+
+        await expect(axelarServiceGovernance.connect(operator).executeOperatorProposal(service.address, calldata, 0))
+            .to.emit(service, 'TrustedChainSet')
+            .withArgs(trustedChain);
+    });
 });
@@ -0,0 +1,121 @@
+'use strict';
+
+const chai = require('chai');
+const { expect } = chai;
+const { ethers } = require('hardhat');
+const {
+    utils: { parseUnits },
+} = ethers;
+const sdk = require('..');
+const {
+    getRandomBytes32,
+    encodeDeployInterchainTokenMessage,
+    encodeReceiveHubMessage,
+    encodeLinkTokenMessage,
+    encodeRegisterTokenMetadataMessage,
+} = require('./utils');
+const { LOCK_UNLOCK } = require('./constants');
+
+describe('ITS Hub', () => {
+    const chainA = 'chain A';
+    const chainB = 'chain B';
+    const itsA = ethers.Wallet.createRandom().address;
+    const itsB = ethers.Wallet.createRandom().address;
+    const account = ethers.Wallet.createRandom().address;
+    let hub, tokenId;
+
+    const send = (sourceChain, destinationChain, message, sourceAddress) =>
+        hub.route(sourceChain, sdk.encodeSendHubMessage(destinationChain, message).payload, sourceAddress);
+    const transfer = (amount) => sdk.encodeInterchainTransferMessage(tokenId, account, account, amount, '0x');
+
+    const expectHubError = (fn, name, args) => {
+        expect(fn)
+            .to.throw(`${name}(${args.join(', ')})`)
+            .with.property('name', name);
+    };
+
+    beforeEach(() => {
+        hub = sdk.createItsHub();
+        hub.registerChain(chainA, itsA);
+        hub.registerChain(chainB, itsB);
+        tokenId = getRandomBytes32();
+    });
+
+    it('Should forward messages from the hub to the destination chain', () => {
+        const message = encodeDeployInterchainTokenMessage(tokenId, 'Token Name', 'TN', 18, '0x');
+
+        expect(send(chainA, chainB, message, itsA)).to.deep.equal({
+            destinationChain: chainB,
+            payload: encodeReceiveHubMessage(chainA, message).payload,
+        });
+        expect(hub.getTokenInstance(tokenId, chainA)).to.deep.equal({ decimals: 18, supply: null });
+        expect(hub.getTokenInstance(tokenId, chainB).supply).to.equal(0);
+    });
+
+    it('Should reject messages from unknown chains and addresses', () => {
+        const message = transfer(1);
+
+        expectHubError(() => send('unknown chain', chainB, message), 'UntrustedChain', ['unknown chain']);
+        expectHubError(() => send(chainA, 'unknown chain', message, itsA), 'UntrustedChain', ['unknown chain']);
+        expectHubError(() => send(chainA, chainB, message, itsB), 'UntrustedAddress', [chainA, itsB]);
+    });
+
+    it('Should only transfer tokens that are deployed on both chains', () => {
+        expectHubError(() => send(chainA, chainB, transfer(1), itsA), 'TokenNotDeployed', [tokenId, chainA]);
+
+        send(chainA, chainB, encodeDeployInterchainTokenMessage(tokenId, 'Token Name', 'TN', 18, '0x'), itsA);
+
+        expectHubError(
+            () => send(chainA, chainB, encodeDeployInterchainTokenMessage(tokenId, 'Token Name', 'TN', 18, '0x'), itsA),
+            'TokenAlreadyDeployed',
+            [tokenId, chainB],
+        );
+    });
+
+    it('Should track the supply of tokens deployed by the hub', () => {
+        send(chainA, chainB, encodeDeployInterchainTokenMessage(tokenId, 'Token Name', 'TN', 18, '0x'), itsA);
+
+        send(chainA, chainB, transfer(100), itsA);
+        send(chainB, chainA, transfer(40), itsB);
+
+        expect(hub.getTokenInstance(tokenId, chainB).supply).to.equal(60);
+        expectHubError(() => send(chainB, chainA, transfer(61), itsB), 'InsufficientSupply', [tokenId, chainB]);
+        expect(hub.getTokenInstance(tokenId, chainB).supply).to.equal(60);
+    });
+
+    it('Should not track the supply of tokens deployed with a minter', () => {
+        send(chainA, chainB, encodeDeployInterchainTokenMessage(tokenId, 'Token Name', 'TN', 18, account), itsA);
+
+        expect(send(chainB, chainA, transfer(100), itsB).destinationChain).to.equal(chainA);
+        expect(hub.getTokenInstance(tokenId, chainB).supply).to.be.null;
+    });
+
+    it('Should only link tokens with registered metadata', () => {
+        const tokenA = ethers.Wallet.createRandom().address;
+        const tokenB = ethers.Wallet.createRandom().address;
+        const message = encodeLinkTokenMessage(tokenId, LOCK_UNLOCK, tokenA, tokenB, '0x');
+
+        expect(hub.route(chainA, encodeRegisterTokenMetadataMessage(tokenA, 6).payload, itsA)).to.be.null;
+        expectHubError(() => send(chainA, chainB, message, itsA), 'TokenNotRegistered', [chainB, tokenB.toLowerCase()]);
+
+        hub.route(chainB, encodeRegisterTokenMetadataMessage(tokenB, 18).payload, itsB);
+        send(chainA, chainB, message, itsA);
+
+        expect(hub.getTokenInstance(tokenId, chainA)).to.deep.equal({ decimals: 6, supply: null });
+        expect(hub.getTokenInstance(tokenId, chainB)).to.deep.equal({ decimals: 18, supply: null });
+    });
+
+    it('Should scale transfers between linked tokens with different decimals', () => {
+        const tokenA = ethers.Wallet.createRandom().address;
+        const tokenB = ethers.Wallet.createRandom().address;
+
+        hub.route(chainA, encodeRegisterTokenMetadataMessage(tokenA, 18).payload, itsA);
+        hub.route(chainB, encodeRegisterTokenMetadataMessage(tokenB, 6).payload, itsB);
+        send(chainA, chainB, encodeLinkTokenMessage(tokenId, LOCK_UNLOCK, tokenA, tokenB, '0x'), itsA);
+
+        const { payload } = send(chainA, chainB, transfer(parseUnits('1.5', 18)), itsA);
+
+        expect(sdk.decodeItsPayload(payload).message.amount).to.equal(parseUnits('1.5', 6));
+        expectHubError(() => send(chainA, chainB, transfer(parseUnits('1', 11)), itsA), 'ZeroAmount', []);
+    });
+});
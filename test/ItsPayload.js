@@ -0,0 +1,124 @@
+'use strict';
+
+const chai = require('chai');
+const { expect } = chai;
+const { ethers } = require('hardhat');
+const {
+    utils: { defaultAbiCoder },
+} = ethers;
+const sdk = require('..');
+const {
+    getRandomBytes32,
+    encodeDeployInterchainTokenMessage,
+    encodeDeployTokenManagerMessage,
+    encodeReceiveHubMessage,
+    encodeSendHubMessage,
+    encodeLinkTokenMessage,
+    encodeRegisterTokenMetadataMessage,
+} = require('./utils');
+const {
+    MESSAGE_TYPE_INTERCHAIN_TRANSFER,
+    MESSAGE_TYPE_DEPLOY_INTERCHAIN_TOKEN,
+    MESSAGE_TYPE_SEND_TO_HUB,
+    MESSAGE_TYPE_RECEIVE_FROM_HUB,
+    MESSAGE_TYPE_LINK_TOKEN,
+    MESSAGE_TYPE_REGISTER_TOKEN_METADATA,
+    INVALID_MESSAGE_TYPE,
+    LOCK_UNLOCK,
+} = require('./constants');
+
+describe('decodeItsPayload', () => {
+    const tokenId = getRandomBytes32();
+    const address = ethers.Wallet.createRandom().address.toLowerCase();
+
+    const expectPayloadError = (payload, name, args = []) => {
+        try {
+            sdk.decodeItsPayload(payload);
+        } catch (error) {
+            expect(error.name).to.equal(name);
+            expect(error.args).to.deep.equal(args);
+            return;
+        }
+
+        expect.fail(`expected ${name}`);
+    };
+
+    it('Should decode an interchain transfer received from the hub', () => {
+        const message = sdk.encodeInterchainTransferMessage(tokenId, address, address, 100, '0x1234');
+        const { payload } = encodeReceiveHubMessage('source chain', message);
+
+        const decoded = sdk.decodeItsPayload(payload);
+
+        expect(decoded.messageType).to.equal(MESSAGE_TYPE_RECEIVE_FROM_HUB);
+        expect(decoded.sourceChain).to.equal('source chain');
+        expect(decoded.message).to.deep.include({
+            messageType: MESSAGE_TYPE_INTERCHAIN_TRANSFER,
+            tokenId,
+            sourceAddress: address,
+            destinationAddress: address,
+            data: '0x1234',
+        });
+        expect(decoded.message.amount).to.equal(100);
+    });
+
+    it('Should decode a token deployment sent to the hub', () => {
+        const message = encodeDeployInterchainTokenMessage(tokenId, 'Token Name', 'TN', 18, '0x');
+        const { payload } = encodeSendHubMessage('destination chain', message);
+
+        const decoded = sdk.decodeItsPayload(payload);
+
+        expect(decoded.messageType).to.equal(MESSAGE_TYPE_SEND_TO_HUB);
+        expect(decoded.destinationChain).to.equal('destination chain');
+        expect(decoded.message).to.deep.equal({
+            messageType: MESSAGE_TYPE_DEPLOY_INTERCHAIN_TOKEN,
+            tokenId,
+            name: 'Token Name',
+            symbol: 'TN',
+            decimals: 18,
+            minter: '0x',
+        });
+    });
+
+    it('Should decode a link token message', () => {
+        const message = encodeLinkTokenMessage(tokenId, LOCK_UNLOCK, address, address, '0x');
+
+        expect(sdk.decodeItsPayload(message)).to.deep.equal({
+            messageType: MESSAGE_TYPE_LINK_TOKEN,
+            tokenId,
+            tokenManagerType: LOCK_UNLOCK,
+            sourceTokenAddress: address,
+            destinationTokenAddress: address,
+            linkParams: '0x',
+        });
+    });
+
+    it('Should decode a register token metadata message', () => {
+        const { payload } = encodeRegisterTokenMetadataMessage(address, 6);
+
+        expect(sdk.decodeItsPayload(payload)).to.deep.equal({
+            messageType: MESSAGE_TYPE_REGISTER_TOKEN_METADATA,
+            tokenAddress: address,
+            decimals: 6,
+        });
+    });
+
+    it('Should reject payloads shorter than a message type', () => {
+        expectPayloadError('0x1234', 'InvalidPayload');
+    });
+
+    it('Should reject malformed payloads', () => {
+        expectPayloadError(defaultAbiCoder.encode(['uint256'], [MESSAGE_TYPE_INTERCHAIN_TRANSFER]), 'InvalidPayload');
+    });
+
+    it('Should reject unknown and deprecated message types', () => {
+        expectPayloadError(defaultAbiCoder.encode(['uint256'], [INVALID_MESSAGE_TYPE]), 'InvalidMessageType', ['7']);
+        expectPayloadError(encodeDeployTokenManagerMessage(tokenId, address, 0), 'InvalidMessageType', ['2']);
+    });
+
+    it('Should reject hub messages wrapping messages that are not executed by ITS', () => {
+        const { payload: metadataPayload } = encodeRegisterTokenMetadataMessage(address, 6);
+        const { payload } = encodeReceiveHubMessage('source chain', metadataPayload);
+
+        expectPayloadError(payload, 'InvalidMessageType', [String(MESSAGE_TYPE_REGISTER_TOKEN_METADATA)]);
+    });
+});
@@ -0,0 +1,568 @@
+'use strict';
+
+const chai = require('chai');
+const { expect } = chai;
+const { ethers } = require('hardhat');
+const {
+    getContractAt,
+    Wallet,
+    constants: { AddressZero },
+    utils: { keccak256 },
+} = ethers;
+const { getRandomBytes32, isHardhat, expectRevert } = require('./utils');
+const { deployLocalNetwork } = require('../scripts/localNetwork');
+const { interchainTokenAddress } = require('../scripts/addresses');
+const { createExpressRelayer } = require('../scripts/expressRelayer');
+const { createGasServiceFeeSource, createStaticFeeSource, getExecutionGasLimit, quoteInterchainTransfer } = require('../scripts/gasQuote');
+const { getTrustedChains, reconcileTrustedChains } = require('../scripts/trustedChains');
+const { composeFactoryMulticall, planCanonicalDeployment } = require('../scripts/factoryMulticall');
+const { deployContract } = require('../scripts/deploy');
+const { run } = require('../scripts/its');
+const { analyzeToken } = require('../scripts/tokenAdvisor');
+const { validateCanonicalRegistrations } = require('../scripts/tokenMetadata');
+const { signPermit, composePermitAndInterchainTransferFrom, sendPermitBatch } = require('../scripts/permit');
+const { inspectTokenRolesOnChains } = require('../scripts/roles');
+const {
+    INTERCHAIN_TRANSFER,
+    INTERCHAIN_TRANSFER_WITH_METADATA_AND_GAS_VALUE,
+    DEPLOY_REMOTE_INTERCHAIN_TOKEN,
+    DEPLOY_REMOTE_CANONICAL_INTERCHAIN_TOKEN,
+    ITS_HUB_CHAIN,
+    MESSAGE_TYPE_DEPLOY_INTERCHAIN_TOKEN,
+    MINT_BURN,
+    LOCK_UNLOCK,
+} = require('./constants');
+
+if (isHardhat) {
+    describe('Local Network', () => {
+        const chainNames = ['source chain', 'destination chain'];
+        const [sourceChain, destinationChain] = chainNames;
+        const name = 'Token Name';
+        const symbol = 'TN';
+        const decimals = 18;
+        const initialSupply = 1e9;
+        // Tokens that the wallet holds on the destination chain, to transfer them back and to fund the express executor
+        const remoteBalance = 1e6;
+
+        let wallet, network, tokenId;
+
+        const deployInterchainToken = async (salt) => {
+            const { tokenFactory } = network.chains[sourceChain];
+
+            await tokenFactory.deployInterchainToken(salt, name, symbol, decimals, initialSupply, wallet.address).then((tx) => tx.wait());
+
+            return tokenFactory.interchainTokenId(wallet.address, salt);
+        };
+
+        // Every test uses the same network, and the token that is deployed on both chains here unless it deploys its own
+        before(async () => {
+            [wallet] = await ethers.getSigners();
+
+            network = await deployLocalNetwork(wallet, chainNames);
+
+            const salt = getRandomBytes32();
+            const { tokenFactory, service } = network.chains[sourceChain];
+            tokenId = await deployInterchainToken(salt);
+
+            await network.relay(await tokenFactory[DEPLOY_REMOTE_INTERCHAIN_TOKEN](salt, destinationChain, 0));
+            await network.relay(await service[INTERCHAIN_TRANSFER](tokenId, destinationChain, wallet.address, remoteBalance));
+        });
+
+        it('Should deploy an interchain token to another chain', async () => {
+            const { tokenFactory } = network.chains[sourceChain];
+            const salt = getRandomBytes32();
+            const tokenId = await deployInterchainToken(salt);
+
+            const deliveries = await network.relay(await tokenFactory[DEPLOY_REMOTE_INTERCHAIN_TOKEN](salt, destinationChain, 0));
+
+            expect(deliveries.map(({ sourceChain, destinationChain }) => [sourceChain, destinationChain])).to.deep.equal([
+                [sourceChain, destinationChain],
+            ]);
+
+            const remoteService = network.chains[destinationChain].service;
+            const token = await getContractAt('InterchainToken', await remoteService.registeredTokenAddress(tokenId), wallet);
+            expect(await token.name()).to.equal(name);
+            expect(token.address).to.equal(interchainTokenAddress(remoteService.address, tokenId));
+        });
+
+        it('Should relay an interchain transfer', async () => {
+            const amount = 1234;
+            const { service } = network.chains[sourceChain];
+            const remoteService = network.chains[destinationChain].service;
+            const remoteToken = await getContractAt('InterchainToken', await remoteService.registeredTokenAddress(tokenId), wallet);
+            const balance = await remoteToken.balanceOf(wallet.address);
+
+            const [delivery] = await network.relay(await service[INTERCHAIN_TRANSFER](tokenId, destinationChain, wallet.address, amount));
+
+            await expect(delivery.receipt.transactionHash)
+                .to.emit(remoteService, 'InterchainTransferReceived')
+                .withArgs(
+                    delivery.commandId,
+                    tokenId,
+                    sourceChain,
+                    wallet.address.toLowerCase(),
+                    wallet.address,
+                    amount,
+                    ethers.constants.HashZero,
+                );
+            expect(await remoteToken.balanceOf(wallet.address)).to.equal(balance.add(amount));
+        });
+
+        it('Should reject transfers to chains that are unknown to the hub', async () => {
+            const { service } = network.chains[sourceChain];
+            const unknownChain = 'unknown chain';
+
+            await service.setTrustedChain(unknownChain).then((tx) => tx.wait());
+
+            const tx = await service[INTERCHAIN_TRANSFER](tokenId, unknownChain, wallet.address, 1);
+
+            await network.relay(tx).then(
+                () => expect.fail('expected the hub to reject the transfer'),
+                (error) => expect(error.message).to.equal(`UntrustedChain(${unknownChain})`),
+            );
+
+            await service.removeTrustedChain(unknownChain).then((tx) => tx.wait());
+        });
+
+        it('Should relay messages automatically once the relayer is started', async () => {
+            const amount = 100;
+            const { service } = network.chains[destinationChain];
+            const token = await getContractAt(
+                'InterchainToken',
+                await network.chains[sourceChain].service.registeredTokenAddress(tokenId),
+                wallet,
+            );
+            const balance = await token.balanceOf(wallet.address);
+
+            network.startRelayer();
+
+            try {
+                const tx = await service[INTERCHAIN_TRANSFER](tokenId, sourceChain, wallet.address, amount);
+
+                // Awaiting the relay returns the delivery of the relayer instead of delivering twice
+                const deliveries = await network.relay(tx);
+                expect(deliveries.length).to.equal(1);
+            } finally {
+                network.stopRelayer();
+            }
+
+            expect(await token.balanceOf(wallet.address)).to.equal(balance.add(amount));
+        });
+
+        it('Should pay the quoted gas for an interchain transfer', async () => {
+            const amount = 10;
+            const { service, gasService } = network.chains[sourceChain];
+            const gasInfo = { axelarBaseFee: 1000, relativeGasPrice: 2 };
+
+            // The gas service is deployed with the wallet as its gas collector, which can update the gas info
+            await gasService
+                .updateGasInfo(
+                    [ITS_HUB_CHAIN, destinationChain],
+                    [ITS_HUB_CHAIN, destinationChain].map(() => [0, 0, gasInfo.axelarBaseFee, gasInfo.relativeGasPrice, 0, 0]),
+                )
+                .then((tx) => tx.wait());
+
+            const transfer = {
+                tokenId,
+                sourceChain,
+                destinationChain,
+                sourceAddress: wallet.address,
+                destinationAddress: wallet.address,
+                amount,
+            };
+            const { hops, value } = await quoteInterchainTransfer(
+                createGasServiceFeeSource(gasService.address, wallet.provider),
+                transfer,
+                {
+                    itsHubAddress: network.itsHubAddress,
+                },
+            );
+            const staticQuote = await quoteInterchainTransfer(
+                createStaticFeeSource({ [ITS_HUB_CHAIN]: gasInfo, [destinationChain]: gasInfo }),
+                transfer,
+            );
+            expect(value).to.equal(staticQuote.value);
+
+            const tx = await service[INTERCHAIN_TRANSFER_WITH_METADATA_AND_GAS_VALUE](
+                tokenId,
+                destinationChain,
+                wallet.address,
+                amount,
+                '0x',
+                value,
+                {
+                    value,
+                },
+            );
+
+            await expect(tx)
+                .to.emit(gasService, 'NativeGasPaidForContractCall')
+                .withArgs(service.address, ITS_HUB_CHAIN, network.itsHubAddress, keccak256(hops[0].payload), value, wallet.address);
+            await network.relay(tx);
+        });
+
+        it('Should cover the gas used to execute each message type with the default gas limits', async () => {
+            const { tokenFactory, service } = network.chains[sourceChain];
+            const remoteService = network.chains[destinationChain].service;
+            const deploySalt = getRandomBytes32();
+            const linkSalt = getRandomBytes32();
+
+            const deployTokenId = await deployInterchainToken(deploySalt);
+            const [deployment] = await network.relay(await tokenFactory[DEPLOY_REMOTE_INTERCHAIN_TOKEN](deploySalt, destinationChain, 0));
+            const [transfer] = await network.relay(await service[INTERCHAIN_TRANSFER](deployTokenId, destinationChain, wallet.address, 1));
+
+            const token = await deployContract(wallet, 'TestMintableBurnableERC20', [name, symbol, decimals]);
+            const remoteToken = await deployContract(wallet, 'TestMintableBurnableERC20', [name, symbol, decimals]);
+            await network.relay(await service.registerTokenMetadata(token.address, 0));
+            await network.relay(await remoteService.registerTokenMetadata(remoteToken.address, 0));
+            await tokenFactory.registerCustomToken(linkSalt, token.address, LOCK_UNLOCK, wallet.address).then((tx) => tx.wait());
+            const [link] = await network.relay(
+                await tokenFactory.linkToken(linkSalt, destinationChain, remoteToken.address, LOCK_UNLOCK, wallet.address, 0),
+            );
+
+            for (const delivery of [transfer, deployment, link]) {
+                expect(delivery.receipt.gasUsed.toNumber()).to.be.lte(getExecutionGasLimit(delivery.payload));
+            }
+        });
+
+        it('Should reconcile the trusted chains with a multicall', async () => {
+            const { service } = network.chains[sourceChain];
+
+            await service.setTrustedChain('stale chain').then((tx) => tx.wait());
+
+            const { current, toAdd, toRemove, multicall } = await reconcileTrustedChains(wallet.provider, service.address, [
+                destinationChain,
+                'new chain',
+            ]);
+
+            expect(current).to.deep.equal([destinationChain, 'stale chain']);
+            expect(toAdd).to.deep.equal(['new chain']);
+            expect(toRemove).to.deep.equal(['stale chain']);
+
+            await wallet.sendTransaction({ to: service.address, data: multicall }).then((tx) => tx.wait());
+
+            expect(await service.isTrustedChain('stale chain')).to.be.false;
+            expect(await service.isTrustedChain('new chain')).to.be.true;
+            expect(await getTrustedChains(wallet.provider, service.address)).to.have.members([destinationChain, 'new chain']);
+            expect((await reconcileTrustedChains(wallet.provider, service.address, [destinationChain, 'new chain'])).multicall).to.be.null;
+        });
+
+        it('Should register and deploy a canonical token with a single multicall', async () => {
+            const { tokenFactory, service } = network.chains[sourceChain];
+            const remoteService = network.chains[destinationChain].service;
+            const token = await deployContract(wallet, 'TestInterchainTokenStandard', [
+                name,
+                symbol,
+                decimals,
+                service.address,
+                getRandomBytes32(),
+            ]);
+
+            const { data, value } = composeFactoryMulticall(planCanonicalDeployment(token.address, { [destinationChain]: 1000 }));
+            const tx = await wallet.sendTransaction({ to: tokenFactory.address, data, value });
+            const canonicalTokenId = await tokenFactory.canonicalInterchainTokenId(token.address);
+
+            await expect(tx).to.emit(service, 'InterchainTokenDeploymentStarted');
+            await network.relay(tx);
+
+            const remoteToken = await getContractAt(
+                'InterchainToken',
+                await remoteService.registeredTokenAddress(canonicalTokenId),
+                wallet,
+            );
+            expect(await remoteToken.symbol()).to.equal(symbol);
+        });
+
+        describe('Command Line', () => {
+            let output, its;
+
+            beforeEach(() => {
+                const { service } = network.chains[sourceChain];
+
+                output = [];
+                its = (...argv) => run(argv, { env: { ITS_SERVICE: service.address }, signer: wallet, log: (line) => output.push(line) });
+            });
+
+            const getTokenManager = async () =>
+                getContractAt('TokenManager', await network.chains[sourceChain].service.deployedTokenManager(tokenId), wallet);
+
+            it('Should print the info of a token', async () => {
+                const { service } = network.chains[sourceChain];
+                const tokenManager = await getTokenManager();
+
+                const info = await its('token-info', tokenId);
+
+                expect(info).to.deep.include({
+                    tokenId,
+                    tokenManager: tokenManager.address,
+                    tokenManagerType: 'NATIVE_INTERCHAIN_TOKEN',
+                    tokenAddress: await service.registeredTokenAddress(tokenId),
+                    name,
+                    symbol,
+                    decimals,
+                    metadataErrors: {},
+                });
+                expect(info.flowLimit).to.equal(await tokenManager.flowLimit());
+                expect(JSON.parse(output[0])).to.deep.include({ tokenId, name, symbol, decimals });
+            });
+
+            it('Should print the roles of an account', async () => {
+                const account = Wallet.createRandom().address;
+
+                expect(await its('roles', tokenId)).to.deep.equal({
+                    account: wallet.address,
+                    operator: true,
+                    flowLimiter: true,
+                    minter: true,
+                });
+                expect(await its('roles', tokenId, account)).to.deep.equal({ account, operator: false, flowLimiter: false, minter: false });
+            });
+
+            it('Should print the flow limit and flows of the current epoch', async () => {
+                const { service } = network.chains[sourceChain];
+                const tokenManager = await getTokenManager();
+                const flowLimit = 1e9;
+
+                await tokenManager.setFlowLimit(flowLimit).then((tx) => tx.wait());
+                await network.relay(await service[INTERCHAIN_TRANSFER](tokenId, destinationChain, wallet.address, 10));
+
+                const flowState = await its('flow-limit', 'get', tokenId);
+
+                expect(flowState).to.deep.include({ tokenManager: tokenManager.address });
+                expect(flowState.flowLimit).to.equal(flowLimit);
+                expect(flowState.flowOutAmount).to.equal(await tokenManager.flowOutAmount());
+                expect(JSON.parse(output[0]).flowLimit).to.equal(String(flowLimit));
+            });
+
+            it('Should send a flow limit update and print the events of its receipt', async () => {
+                const tokenManager = await getTokenManager();
+
+                const receipt = await its('flow-limit', 'set', tokenId, '1000000');
+
+                expect(await tokenManager.flowLimit()).to.equal(1000000);
+                expect(JSON.parse(output[0])).to.deep.equal({
+                    transactionHash: receipt.transactionHash,
+                    blockNumber: receipt.blockNumber,
+                    events: [{ name: 'FlowLimitSet', args: { tokenId, operator: wallet.address, flowLimit: '1000000' } }],
+                });
+            });
+
+            it('Should send an interchain transfer and print the events of its receipt', async () => {
+                const remoteToken = await getContractAt(
+                    'InterchainToken',
+                    await network.chains[destinationChain].service.registeredTokenAddress(tokenId),
+                    wallet,
+                );
+                const balance = await remoteToken.balanceOf(wallet.address);
+
+                const receipt = await its('transfer', tokenId, destinationChain, wallet.address, '10');
+                const { transactionHash, events } = JSON.parse(output[0]);
+
+                expect(transactionHash).to.equal(receipt.transactionHash);
+                expect(events.find(({ name }) => name === 'InterchainTransfer').args).to.deep.include({
+                    tokenId,
+                    sourceAddress: wallet.address,
+                    destinationChain,
+                    destinationAddress: wallet.address.toLowerCase(),
+                    amount: '10',
+                });
+
+                await network.relay(receipt);
+                expect(await remoteToken.balanceOf(wallet.address)).to.equal(balance.add(10));
+            });
+
+            it('Should require an allowance of the service to transfer lock/unlock tokens', async () => {
+                const { service, tokenFactory } = network.chains[sourceChain];
+                const token = await deployContract(wallet, 'TestMintableBurnableERC20', [name, symbol, decimals]);
+                await token.mint(wallet.address, 100).then((tx) => tx.wait());
+                await tokenFactory.registerCanonicalInterchainToken(token.address).then((tx) => tx.wait());
+                const canonicalTokenId = await tokenFactory.canonicalInterchainTokenId(token.address);
+
+                await its('transfer', canonicalTokenId, destinationChain, wallet.address, '100').then(
+                    () => expect.fail('Expected the transfer to fail'),
+                    (error) =>
+                        expect(error.message).to.equal(
+                            `Allowance 0 of the service for token ${token.address} is below 100, run: its approve ${canonicalTokenId} 100`,
+                        ),
+                );
+
+                await its('approve', canonicalTokenId, '100');
+                expect(await token.allowance(wallet.address, service.address)).to.equal(100);
+
+                await its('transfer', canonicalTokenId, destinationChain, wallet.address, '100');
+                expect(await token.balanceOf(wallet.address)).to.equal(0);
+            });
+        });
+
+        it('Should recommend token manager types by probing tokens', async () => {
+            const { service } = network.chains[sourceChain];
+            const amount = 100;
+
+            const mintableToken = await deployContract(wallet, 'TestMintableBurnableERC20', [name, symbol, decimals]);
+            await mintableToken.mint(wallet.address, amount).then((tx) => tx.wait());
+            const options = { service: service.address, tokenId: getRandomBytes32(), holder: wallet.address, amount };
+
+            const beforeMintership = await analyzeToken(wallet.provider, mintableToken.address, options);
+            expect(beforeMintership.recommendation).to.equal('LOCK_UNLOCK');
+            expect(beforeMintership.functions.mint).to.deep.equal({ exists: true, callable: false });
+            expect(beforeMintership.transfer.fee).to.equal(0);
+            expect(await mintableToken.balanceOf(wallet.address)).to.equal(amount);
+
+            await mintableToken.transferMintership(beforeMintership.tokenManager).then((tx) => tx.wait());
+            const afterMintership = await analyzeToken(wallet.provider, mintableToken.address, options);
+            expect(afterMintership.recommendation).to.equal('MINT_BURN');
+            expect(afterMintership.tokenManagerType).to.equal(MINT_BURN);
+
+            const feeToken = await deployContract(wallet, 'TestFeeOnTransferToken', [
+                name,
+                symbol,
+                decimals,
+                service.address,
+                options.tokenId,
+            ]);
+            await feeToken.mint(wallet.address, amount).then((tx) => tx.wait());
+
+            const { recommendation, transfer, metadata } = await analyzeToken(wallet.provider, feeToken.address, options);
+            expect(recommendation).to.equal('LOCK_UNLOCK_FEE');
+            expect(transfer.fee).to.equal(10);
+            expect(metadata.name).to.deep.equal({ value: name, encoding: 'string' });
+        });
+
+        it('Should pre-validate canonical registrations like the factory', async () => {
+            const { tokenFactory } = network.chains[sourceChain];
+            const validToken = await deployContract(wallet, 'TestMintableBurnableERC20', [name, symbol, decimals]);
+            const emptyNameToken = await deployContract(wallet, 'TestMintableBurnableERC20', ['', symbol, decimals]);
+            const notToken = tokenFactory.address;
+
+            const [valid, emptyName, invalid] = await validateCanonicalRegistrations(wallet.provider, [
+                validToken.address,
+                emptyNameToken.address,
+                notToken,
+            ]);
+
+            expect(valid).to.deep.include({ ok: true, metadata: { name, symbol, decimals } });
+            expect(emptyName.registrationError).to.be.null;
+            expect(emptyName.deploymentError.name).to.equal('EmptyTokenName');
+            expect(invalid.registrationError.name).to.equal('NotToken');
+
+            await tokenFactory.registerCanonicalInterchainToken(emptyNameToken.address).then((tx) => tx.wait());
+            await expectRevert(
+                (gasOptions) =>
+                    tokenFactory[DEPLOY_REMOTE_CANONICAL_INTERCHAIN_TOKEN](emptyNameToken.address, destinationChain, 0, gasOptions),
+                network.chains[sourceChain].service,
+                'EmptyTokenName',
+            );
+            await expectRevert(
+                (gasOptions) => tokenFactory.registerCanonicalInterchainToken(notToken, gasOptions),
+                tokenFactory,
+                'NotToken',
+                [notToken],
+            );
+        });
+
+        it('Should transfer interchain tokens with a permit of a spender', async () => {
+            const { service } = network.chains[sourceChain];
+            const [, spender] = await ethers.getSigners();
+            const token = await getContractAt('InterchainToken', await service.registeredTokenAddress(tokenId), wallet);
+            const amount = 10;
+
+            const permit = await signPermit(wallet, token.address, { spender: spender.address, value: amount });
+            const batch = composePermitAndInterchainTransferFrom(permit, { destinationChain, destinationAddress: wallet.address, amount });
+
+            const balance = await token.balanceOf(wallet.address);
+            const [, receipt] = await sendPermitBatch(spender, batch);
+
+            expect(await token.balanceOf(wallet.address)).to.equal(balance.sub(amount));
+            expect(await token.allowance(wallet.address, spender.address)).to.equal(0);
+            await network.relay(receipt);
+        });
+
+        it('Should inspect the roles of a token on every chain', async () => {
+            const [, operator] = await ethers.getSigners();
+            const chains = Object.fromEntries(
+                chainNames.map((chainName) => [
+                    chainName,
+                    { provider: wallet.provider, service: network.chains[chainName].service.address },
+                ]),
+            );
+            const tokenManager = await getContractAt(
+                'TokenManager',
+                await network.chains[sourceChain].service.deployedTokenManager(tokenId),
+                wallet,
+            );
+            await tokenManager.proposeOperatorship(operator.address).then((tx) => tx.wait());
+
+            const { [sourceChain]: source, [destinationChain]: destination } = await inspectTokenRolesOnChains(chains, tokenId);
+
+            expect(source.token.holders.MINTER).to.include.members([wallet.address, tokenManager.address]);
+            expect(source.tokenManager.holders.OPERATOR).to.include.members([wallet.address, source.service.address]);
+            expect(source.tokenManager.proposals).to.deep.equal([{ from: wallet.address, to: operator.address, roles: ['OPERATOR'] }]);
+            expect(source.risks.map(({ code, contract }) => [code, contract])).to.deep.equal([
+                ['EOA_OPERATOR', 'service'],
+                ['EOA_OPERATOR', 'tokenManager'],
+            ]);
+
+            // Remote tokens are deployed without a minter, so only their token manager can mint
+            expect(destination.token.holders.MINTER).to.deep.equal([destination.tokenManager.address, AddressZero]);
+            expect(destination.risks.map(({ code }) => code)).to.include('ITS_ONLY_MINTER');
+        });
+
+        describe('Express Relayer', () => {
+            let expressExecutor, expressRelayer;
+
+            before(async () => {
+                [, expressExecutor] = await ethers.getSigners();
+                expressRelayer = createExpressRelayer(network, expressExecutor);
+
+                // The express executor fronts tokens on the destination chain
+                const token = await getContractAt(
+                    'InterchainToken',
+                    await network.chains[destinationChain].service.registeredTokenAddress(tokenId),
+                    wallet,
+                );
+                await token.transfer(expressExecutor.address, 1000).then((tx) => tx.wait());
+            });
+
+            it('Should express an interchain transfer and get repaid once it is executed', async () => {
+                const amount = 500;
+                const recipient = Wallet.createRandom().address;
+                const { service } = network.chains[sourceChain];
+                const remoteService = network.chains[destinationChain].service;
+                const token = await getContractAt('InterchainToken', await remoteService.registeredTokenAddress(tokenId), wallet);
+                const executorBalance = await token.balanceOf(expressExecutor.address);
+
+                const tx = await service[INTERCHAIN_TRANSFER](tokenId, destinationChain, recipient, amount);
+                const {
+                    expresses: [express],
+                    deliveries: [delivery],
+                } = await expressRelayer.expressRelay(tx);
+
+                await expect(express.receipt.transactionHash)
+                    .to.emit(remoteService, 'ExpressExecuted')
+                    .withArgs(express.commandId, ITS_HUB_CHAIN, network.itsHubAddress, keccak256(express.payload), expressExecutor.address);
+                await expect(delivery.receipt.transactionHash)
+                    .to.emit(remoteService, 'ExpressExecutionFulfilled')
+                    .withArgs(express.commandId, ITS_HUB_CHAIN, network.itsHubAddress, keccak256(express.payload), expressExecutor.address);
+
+                expect(await token.balanceOf(recipient)).to.equal(amount);
+                expect(await token.balanceOf(expressExecutor.address)).to.equal(executorBalance);
+            });
+
+            it('Should not express messages other than interchain transfers', async () => {
+                const { tokenFactory } = network.chains[sourceChain];
+                const remoteSalt = getRandomBytes32();
+
+                await tokenFactory.deployInterchainToken(remoteSalt, name, symbol, decimals, 0, wallet.address).then((tx) => tx.wait());
+
+                const [route] = await network.route(await tokenFactory[DEPLOY_REMOTE_INTERCHAIN_TOKEN](remoteSalt, destinationChain, 0));
+
+                await expectRevert(
+                    (gasOptions) => expressRelayer.expressExecute(route, gasOptions),
+                    network.chains[destinationChain].service,
+                    'InvalidExpressMessageType',
+                    [MESSAGE_TYPE_DEPLOY_INTERCHAIN_TOKEN],
+                );
+            });
+        });
+    });
+}
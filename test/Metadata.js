@@ -0,0 +1,38 @@
+'use strict';
+
+const chai = require('chai');
+const { expect } = chai;
+const { ethers } = require('hardhat');
+const {
+    utils: { solidityPack },
+} = ethers;
+const sdk = require('..');
+
+describe('Metadata', () => {
+    const data = '0x1234abcd';
+
+    it('Should build contract call metadata', () => {
+        expect(sdk.encodeMetadata()).to.equal('0x00000000');
+        expect(sdk.encodeMetadata(data)).to.equal(solidityPack(['uint32', 'bytes'], [sdk.METADATA_CONTRACT_CALL, data]));
+    });
+
+    it('Should not build metadata with an unsupported version', () => {
+        expect(() => sdk.encodeMetadata(data, 1)).to.throw('InvalidMetadataVersion(1)');
+    });
+
+    it('Should parse metadata back into its version and data', () => {
+        expect(sdk.decodeMetadata(sdk.encodeMetadata(data))).to.deep.equal({ version: sdk.METADATA_CONTRACT_CALL, data });
+        expect(sdk.decodeMetadata('0x00000000')).to.deep.equal({ version: sdk.METADATA_CONTRACT_CALL, data: '0x' });
+    });
+
+    it('Should ignore metadata shorter than the version prefix', () => {
+        expect(sdk.decodeMetadata('0x')).to.deep.equal({ version: null, data: '0x' });
+        expect(sdk.decodeMetadata('0x000001')).to.deep.equal({ version: null, data: '0x' });
+    });
+
+    it('Should reject metadata with an unsupported version', () => {
+        expect(() => sdk.decodeMetadata(solidityPack(['uint32', 'bytes'], [2, data])))
+            .to.throw('InvalidMetadataVersion(2)')
+            .with.property('name', 'InvalidMetadataVersion');
+    });
+});
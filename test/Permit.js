@@ -0,0 +1,77 @@
+'use strict';
+
+const chai = require('chai');
+const { expect } = chai;
+const { ethers } = require('hardhat');
+const { BigNumber } = ethers;
+const sdk = require('..');
+const { getRandomBytes32 } = require('./utils');
+
+describe('Permit', () => {
+    const owner = ethers.Wallet.createRandom();
+    const tokenAddress = ethers.Wallet.createRandom().address;
+    const service = ethers.Wallet.createRandom().address;
+    const domain = { name: 'Token Name', version: '1', chainId: 1, verifyingContract: tokenAddress };
+    const tokenId = getRandomBytes32();
+    const transfer = { tokenId, destinationChain: 'chain A', destinationAddress: '0x1234', amount: 100, gasValue: 5 };
+    const permitInterface = new ethers.utils.Interface([
+        'function permit(address issuer, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)',
+        'function interchainTransferFrom(address sender, string destinationChain, bytes recipient, uint256 amount, bytes metadata) payable',
+        'function interchainTransfer(bytes32 tokenId, string destinationChain, bytes destinationAddress, uint256 amount, bytes metadata, uint256 gasValue) payable',
+    ]);
+
+    const signPermit = (spender, value = 100) => sdk.signPermit(owner, tokenAddress, { spender, value, nonce: 3, deadline: 1000, domain });
+
+    it('Should sign the permit typed data offline', async () => {
+        const permit = await signPermit(service);
+        const message = { owner: owner.address, spender: service, value: 100, nonce: 3, deadline: 1000 };
+
+        expect(permit).to.deep.include({ tokenAddress, owner: owner.address, spender: service });
+        expect(ethers.utils.verifyTypedData(domain, sdk.PERMIT_TYPES, message, permit.signature)).to.equal(owner.address);
+        expect(ethers.utils.splitSignature(permit.signature)).to.deep.include({ v: permit.v, r: permit.r, s: permit.s });
+    });
+
+    it('Should compose a permit with an interchain transfer of the service', async () => {
+        const permit = await signPermit(service);
+        const { calls, value } = sdk.composePermitAndInterchainTransfer(service, permit, { ...transfer, data: '0xabcd' });
+
+        expect(calls.map(({ method, to }) => [method, to])).to.deep.equal([
+            ['permit', tokenAddress],
+            ['interchainTransfer', service],
+        ]);
+        expect(value).to.equal(transfer.gasValue);
+        expect([...permitInterface.decodeFunctionData('permit', calls[0].data)]).to.deep.equal([
+            owner.address,
+            service,
+            permit.value,
+            permit.deadline,
+            permit.v,
+            permit.r,
+            permit.s,
+        ]);
+
+        const args = permitInterface.decodeFunctionData('interchainTransfer', calls[1].data);
+        expect(args.tokenId).to.equal(tokenId);
+        expect(args.gasValue).to.equal(transfer.gasValue);
+        expect(sdk.decodeMetadata(args.metadata).data).to.equal('0xabcd');
+    });
+
+    it('Should compose a permit with an interchain transfer from the owner', async () => {
+        const spender = ethers.Wallet.createRandom().address;
+        const { calls } = sdk.composePermitAndInterchainTransferFrom(await signPermit(spender), transfer);
+        const args = permitInterface.decodeFunctionData('interchainTransferFrom', calls[1].data);
+
+        expect(calls[1]).to.deep.include({ method: 'interchainTransferFrom', to: tokenAddress });
+        expect(args.sender).to.equal(owner.address);
+        expect(args.metadata).to.equal('0x');
+    });
+
+    it('Should reject permits that do not cover the transfer', async () => {
+        expect(() => sdk.composePermitAndInterchainTransfer(service, { spender: tokenAddress }, transfer)).to.throw(
+            `Permit spender ${tokenAddress} is not the service ${service}`,
+        );
+        expect(() => sdk.composePermitAndInterchainTransferFrom({ value: BigNumber.from(99) }, transfer)).to.throw(
+            'Permit value 99 does not cover the amount 100',
+        );
+    });
+});
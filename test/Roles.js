@@ -0,0 +1,146 @@
+'use strict';
+
+const chai = require('chai');
+const { expect } = chai;
+const { ethers } = require('hardhat');
+const {
+    BigNumber,
+    utils: { defaultAbiCoder },
+} = ethers;
+const sdk = require('..');
+const { getRandomBytes32 } = require('./utils');
+const { MINTER_ROLE, OPERATOR_ROLE, FLOW_LIMITER_ROLE } = require('./constants');
+
+describe('Roles', () => {
+    const [from, to] = [ethers.Wallet.createRandom().address, ethers.Wallet.createRandom().address];
+    const operatorRoles = BigNumber.from(1 << OPERATOR_ROLE);
+
+    const event = (name, transactionHash, logIndex, args) => ({ name, blockNumber: 1, transactionHash, logIndex, args });
+    const proposal = (logIndex) =>
+        event('RolesProposed', 'propose', logIndex, { fromAccount: from, toAccount: to, accountRoles: operatorRoles });
+    const transfer = (transactionHash, logIndex, accountRoles = operatorRoles) => [
+        event('RolesRemoved', transactionHash, logIndex, { account: from, accountRoles }),
+        event('RolesAdded', transactionHash, logIndex + 1, { account: to, accountRoles }),
+    ];
+
+    // Serves a service, its token manager and the token from `calls`, which answers the role getters of each contract
+    class RolesProvider extends ethers.providers.BaseProvider {
+        constructor(calls, getLogs) {
+            super({ name: 'roles', chainId: 1337 });
+            this.calls = calls;
+            this.getLogs = getLogs;
+        }
+
+        async getCode(address) {
+            return this.calls[address] ? '0x00' : '0x';
+        }
+
+        async getBlockNumber() {
+            return 10;
+        }
+
+        async call({ to, data }) {
+            return this.calls[to](rolesInterface.parseTransaction({ data }));
+        }
+
+        async estimateGas() {
+            return BigNumber.from(30000);
+        }
+    }
+
+    const rolesInterface = new ethers.utils.Interface([
+        'function isMinter(address account) view returns (bool)',
+        'function isOperator(address account) view returns (bool)',
+        'function isFlowLimiter(address account) view returns (bool)',
+        'function tokenAddress() view returns (address)',
+    ]);
+
+    describe('Token Inspection', () => {
+        const service = ethers.Wallet.createRandom().address;
+        const tokenId = getRandomBytes32();
+        const tokenManager = sdk.tokenManagerAddress(service, tokenId);
+        const token = ethers.Wallet.createRandom().address;
+        const encodeBool = (value) => defaultAbiCoder.encode(['bool'], [value]);
+        const roles = () => encodeBool(false);
+        const calls = {
+            [service]: roles,
+            [tokenManager]: ({ name }) => (name === 'tokenAddress' ? defaultAbiCoder.encode(['address'], [token]) : encodeBool(false)),
+        };
+
+        it('Should report tokens without isMinter as tokens without minter roles', async () => {
+            const provider = new RolesProvider(
+                {
+                    ...calls,
+                    [token]() {
+                        throw new Error('execution reverted');
+                    },
+                },
+                async () => [],
+            );
+
+            expect((await sdk.inspectTokenRoles(provider, service, tokenId)).token).to.be.null;
+        });
+
+        it('Should check the roles of an account', async () => {
+            const account = ethers.Wallet.createRandom().address;
+            const provider = new RolesProvider(
+                {
+                    [tokenManager]: ({ name, args }) =>
+                        name === 'tokenAddress'
+                            ? defaultAbiCoder.encode(['address'], [token])
+                            : encodeBool(name === 'isOperator' && args.account === account),
+                    [token]: ({ args }) => encodeBool(args.account === account),
+                },
+                async () => [],
+            );
+
+            expect(await sdk.getAccountRoles(provider, service, tokenId, account)).to.deep.equal({
+                operator: true,
+                flowLimiter: false,
+                minter: true,
+            });
+
+            provider.calls[token] = () => '0x';
+            expect((await sdk.getAccountRoles(provider, service, tokenId, account)).minter).to.be.null;
+        });
+
+        it('Should not skip the token when its role events cannot be read', async () => {
+            const error = new Error('block range too large');
+            const provider = new RolesProvider({ ...calls, [token]: roles }, async ({ address }) => {
+                if (address === token) throw error;
+
+                return [];
+            });
+
+            await sdk.inspectTokenRoles(provider, service, tokenId).then(
+                () => expect.fail('Expected the inspection to fail'),
+                (thrown) => expect(thrown).to.equal(error),
+            );
+        });
+    });
+
+    it('Should decode role bitmaps', () => {
+        expect(sdk.decodeRoles(BigNumber.from((1 << MINTER_ROLE) | (1 << FLOW_LIMITER_ROLE)))).to.deep.equal(['MINTER', 'FLOW_LIMITER']);
+        expect(sdk.decodeRoles(BigNumber.from(0))).to.deep.equal([]);
+    });
+
+    it('Should keep proposals pending until they are accepted', () => {
+        const pending = sdk.replayRoleEvents([
+            event('RolesAdded', 'setup', 0, { account: from, accountRoles: operatorRoles }),
+            proposal(1),
+        ]);
+
+        expect(pending).to.deep.equal({ accounts: [from], proposals: [{ from, to, roles: ['OPERATOR'] }] });
+        expect(sdk.replayRoleEvents([...transfer('accept', 3), proposal(1)]).proposals).to.deep.equal([]);
+    });
+
+    it('Should not settle proposals with transfers of other roles', () => {
+        const { accounts, proposals } = sdk.replayRoleEvents([
+            proposal(1),
+            ...transfer('transfer', 3, BigNumber.from(1 << FLOW_LIMITER_ROLE)),
+        ]);
+
+        expect(accounts).to.deep.equal([from, to]);
+        expect(proposals).to.have.lengthOf(1);
+    });
+});
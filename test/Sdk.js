@@ -0,0 +1,63 @@
+'use strict';
+
+const { execFileSync } = require('child_process');
+const path = require('path');
+const chai = require('chai');
+const { expect } = chai;
+const { ethers } = require('hardhat');
+const {
+    utils: { defaultAbiCoder },
+} = ethers;
+const sdk = require('..');
+const { getRandomBytes32 } = require('./utils');
+const {
+    MESSAGE_TYPE_INTERCHAIN_TRANSFER,
+    MESSAGE_TYPE_SEND_TO_HUB,
+    MESSAGE_TYPE_RECEIVE_FROM_HUB,
+    MESSAGE_TYPE_REGISTER_TOKEN_METADATA,
+    LOCK_UNLOCK_FEE_ON_TRANSFER,
+    FLOW_LIMITER_ROLE,
+} = require('./constants');
+
+describe('SDK', () => {
+    it('Should be importable without loading hardhat', () => {
+        const script = `
+            require(${JSON.stringify(path.resolve(__dirname, '..'))});
+            const loaded = Object.keys(require.cache).some((file) => file.includes('/node_modules/hardhat/'));
+            process.exit(loaded ? 1 : 0);
+        `;
+
+        execFileSync(process.execPath, ['-e', script]);
+    });
+
+    it('Should expose the message type, token manager type and role enums', () => {
+        expect(sdk.MessageType.INTERCHAIN_TRANSFER).to.equal(MESSAGE_TYPE_INTERCHAIN_TRANSFER);
+        expect(sdk.MessageType.SEND_TO_HUB).to.equal(MESSAGE_TYPE_SEND_TO_HUB);
+        expect(sdk.MessageType.RECEIVE_FROM_HUB).to.equal(MESSAGE_TYPE_RECEIVE_FROM_HUB);
+        expect(sdk.MessageType.REGISTER_TOKEN_METADATA).to.equal(MESSAGE_TYPE_REGISTER_TOKEN_METADATA);
+        expect(sdk.TokenManagerType.LOCK_UNLOCK_FEE).to.equal(LOCK_UNLOCK_FEE_ON_TRANSFER);
+        expect(sdk.Roles.FLOW_LIMITER).to.equal(FLOW_LIMITER_ROLE);
+        expect(Object.isFrozen(sdk.MessageType)).to.be.true;
+    });
+
+    it('Should encode an interchain transfer wrapped in a hub message', () => {
+        const tokenId = getRandomBytes32();
+        const from = ethers.Wallet.createRandom().address;
+        const to = ethers.Wallet.createRandom().address;
+        const message = sdk.encodeInterchainTransferMessage(tokenId, from, to, 1234, '0x');
+        const { payload } = sdk.encodeSendHubMessage('destination chain', message);
+
+        const [messageType, destinationChain, innerMessage] = defaultAbiCoder.decode(['uint256', 'string', 'bytes'], payload);
+        expect(messageType).to.equal(MESSAGE_TYPE_SEND_TO_HUB);
+        expect(destinationChain).to.equal('destination chain');
+        expect(innerMessage).to.equal(message);
+
+        const decoded = defaultAbiCoder.decode(['uint256', 'bytes32', 'bytes', 'bytes', 'uint256', 'bytes'], innerMessage);
+        expect(decoded[0]).to.equal(MESSAGE_TYPE_INTERCHAIN_TRANSFER);
+        expect(decoded[1]).to.equal(tokenId);
+        expect(decoded[2]).to.equal(from.toLowerCase());
+        expect(decoded[3]).to.equal(to.toLowerCase());
+        expect(decoded[4]).to.equal(1234);
+        expect(decoded[5]).to.equal('0x');
+    });
+});
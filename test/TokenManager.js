@@ -9,6 +9,8 @@ const {
 const { expect } = chai;
 const { expectRevert, getEVMVersion } = require('./utils');
 const { deployContract } = require('../scripts/deploy');
+const { encodeTokenManagerParams, decodeTokenManagerParams } = require('../scripts/tokenManagerParams');
+const { LOCK_UNLOCK } = require('./constants');
 
 describe('Token Manager', () => {
     const FLOW_LIMITER_ROLE = 2;
@@ -85,6 +87,14 @@ describe('Token Manager', () => {
         expect(expectedParams).to.eq(params);
     });
 
+    it('Should encode the same parameters as the SDK', async () => {
+        const params = await TestTokenManager.params(owner.address, other.address);
+
+        expect(encodeTokenManagerParams(LOCK_UNLOCK, owner.address, other.address)).to.eq(params);
+        expect(decodeTokenManagerParams(params).operatorAddress).to.eq(owner.address);
+        expect(await TestTokenManager.getTokenAddressFromParams(params)).to.eq(decodeTokenManagerParams(params).tokenAddress);
+    });
+
     describe('Bytecode checks [ @skip-on-coverage ]', () => {
         it('Should preserve the same proxy bytecode for each EVM', async () => {
             const proxyFactory = await ethers.getContractFactory('TokenManagerProxy', owner);
@@ -0,0 +1,69 @@
+'use strict';
+
+const chai = require('chai');
+const { expect } = chai;
+const { ethers } = require('hardhat');
+const {
+    constants: { AddressZero },
+    utils: { defaultAbiCoder, solidityPack },
+} = ethers;
+const sdk = require('..');
+const { getRandomBytes32 } = require('./utils');
+const { NATIVE_INTERCHAIN_TOKEN, MINT_BURN_FROM, LOCK_UNLOCK, LOCK_UNLOCK_FEE_ON_TRANSFER, MINT_BURN } = require('./constants');
+
+describe('Token Manager Params', () => {
+    const operator = ethers.Wallet.createRandom().address;
+    const tokenAddress = ethers.Wallet.createRandom().address;
+
+    it('Should encode deploy params for every token manager type', () => {
+        const expected = defaultAbiCoder.encode(['bytes', 'address'], [operator, tokenAddress]);
+
+        for (const tokenManagerType of Object.values(sdk.TokenManagerType)) {
+            expect(sdk.encodeTokenManagerParams(tokenManagerType, operator, tokenAddress)).to.equal(expected);
+        }
+    });
+
+    it('Should decode deploy params with and without an operator', () => {
+        const params = sdk.encodeTokenManagerParams(MINT_BURN, operator, tokenAddress);
+
+        expect(sdk.decodeTokenManagerParams(params)).to.deep.equal({
+            operator: operator.toLowerCase(),
+            operatorAddress: operator,
+            tokenAddress,
+        });
+        expect(sdk.decodeTokenManagerParams(sdk.encodeTokenManagerParams(LOCK_UNLOCK, '0x', tokenAddress))).to.deep.equal({
+            operator: '0x',
+            operatorAddress: AddressZero,
+            tokenAddress,
+        });
+    });
+
+    it('Should reject invalid deploy params', () => {
+        expect(() => sdk.encodeTokenManagerParams(5, operator, tokenAddress)).to.throw('UnsupportedTokenManagerType(5)');
+        expect(() => sdk.encodeTokenManagerParams(LOCK_UNLOCK, '0x1234', tokenAddress)).to.throw('InvalidBytesLength(0x1234)');
+        expect(() => sdk.encodeTokenManagerParams(LOCK_UNLOCK, operator, AddressZero)).to.throw('EmptyTokenAddress()');
+        expect(() => sdk.decodeTokenManagerParams(defaultAbiCoder.encode(['bytes', 'address'], ['0x1234', tokenAddress]))).to.throw(
+            'InvalidBytesLength(0x1234)',
+        );
+    });
+
+    it('Should encode and decode link params', () => {
+        expect(sdk.encodeLinkParams(MINT_BURN_FROM, operator)).to.equal(operator.toLowerCase());
+        expect(sdk.encodeLinkParams(LOCK_UNLOCK_FEE_ON_TRANSFER)).to.equal('0x');
+        expect(sdk.decodeLinkParams(operator)).to.deep.equal({ operator: operator.toLowerCase(), operatorAddress: operator });
+        expect(sdk.decodeLinkParams('0x')).to.deep.equal({ operator: '0x', operatorAddress: AddressZero });
+    });
+
+    it('Should only accept non-EVM operators for non-EVM destination chains', () => {
+        const operatorBytes = solidityPack(['bytes32'], [getRandomBytes32()]);
+
+        expect(() => sdk.encodeLinkParams(LOCK_UNLOCK, operatorBytes)).to.throw(`InvalidBytesLength(${operatorBytes})`);
+        expect(sdk.encodeLinkParams(LOCK_UNLOCK, operatorBytes, { evmDestination: false })).to.equal(operatorBytes);
+    });
+
+    it('Should not link native interchain tokens', () => {
+        expect(() => sdk.encodeLinkParams(NATIVE_INTERCHAIN_TOKEN, operator))
+            .to.throw(`CannotDeploy(${NATIVE_INTERCHAIN_TOKEN})`)
+            .with.property('name', 'CannotDeploy');
+    });
+});
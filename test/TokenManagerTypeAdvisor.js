@@ -0,0 +1,115 @@
+'use strict';
+
+const chai = require('chai');
+const { expect } = chai;
+const { ethers } = require('hardhat');
+const {
+    BigNumber,
+    utils: { defaultAbiCoder },
+} = ethers;
+const sdk = require('..');
+const { MINT_BURN_FROM, LOCK_UNLOCK, LOCK_UNLOCK_FEE_ON_TRANSFER, MINT_BURN } = require('./constants');
+
+describe('Token Manager Type Advisor', () => {
+    const tokenManager = ethers.Wallet.createRandom().address;
+    const metadata = {
+        name: { value: 'Token Name', encoding: 'string' },
+        symbol: { value: 'TN', encoding: 'string' },
+        decimals: { value: 18, standard: true },
+    };
+    const transfer = { amount: BigNumber.from(100), received: BigNumber.from(100), fee: BigNumber.from(0) };
+    const functions = (callable = {}) =>
+        Object.fromEntries(['mint', 'burn', 'burnFrom'].map((method) => [method, { exists: true, callable: Boolean(callable[method]) }]));
+
+    it('Should decode string and bytes32 token metadata', () => {
+        expect(sdk.decodeTokenString(defaultAbiCoder.encode(['string'], ['Maker']))).to.deep.equal({
+            value: 'Maker',
+            encoding: 'string',
+        });
+        expect(sdk.decodeTokenString(ethers.utils.formatBytes32String('MKR'))).to.deep.equal({ value: 'MKR', encoding: 'bytes32' });
+        expect(sdk.decodeTokenString('0x1234')).to.deep.equal({ value: null, encoding: null });
+    });
+
+    it('Should simulate calls with a single call unless the result could be revert data', async () => {
+        const revertData = sdk.errorInterface.encodeErrorResult('ZeroAmount');
+        const returnData = defaultAbiCoder.encode(['bool'], [true]);
+
+        const createProvider = ({ result, reverts }) => {
+            const provider = {
+                estimated: 0,
+                async estimateGas() {
+                    provider.estimated++;
+                    if (reverts) throw Object.assign(new Error('execution reverted'), { error: { data: revertData } });
+
+                    return BigNumber.from(21000);
+                },
+                async call() {
+                    if (result instanceof Error) throw result;
+
+                    return result;
+                },
+            };
+
+            return provider;
+        };
+
+        const success = createProvider({ result: returnData });
+        expect(await sdk.simulateCall(success, {})).to.deep.equal({ success: true, data: returnData });
+        expect(success.estimated).to.equal(0);
+
+        const thrown = createProvider({ result: Object.assign(new Error('execution reverted'), { data: revertData }) });
+        expect(await sdk.simulateCall(thrown, {})).to.deep.equal({ success: false, data: revertData });
+        expect(thrown.estimated).to.equal(0);
+
+        // Like hardhat, which returns the revert data of failed calls
+        const returned = createProvider({ result: revertData, reverts: true });
+        expect(await sdk.simulateCall(returned, {})).to.deep.equal({ success: false, data: revertData });
+        expect(returned.estimated).to.equal(1);
+
+        expect(await sdk.simulateCall(createProvider({ result: '0x', reverts: true }), {})).to.deep.equal({
+            success: false,
+            data: revertData,
+        });
+        expect(await sdk.simulateCall(createProvider({ result: '0x' }), {})).to.deep.equal({ success: true, data: '0x' });
+    });
+
+    it('Should recommend lock/unlock with fee for fee on transfer tokens', () => {
+        const { recommendation, tokenManagerType, reasons } = sdk.recommendTokenManagerType({
+            tokenManager,
+            metadata,
+            functions: functions({ mint: true, burn: true }),
+            transfer: { ...transfer, received: BigNumber.from(90), fee: BigNumber.from(10) },
+        });
+
+        expect(recommendation).to.equal('LOCK_UNLOCK_FEE');
+        expect(tokenManagerType).to.equal(LOCK_UNLOCK_FEE_ON_TRANSFER);
+        expect(reasons).to.deep.equal(['Transferring 100 only delivered 90, so the token charges a fee on transfer']);
+    });
+
+    it('Should recommend mint/burn types when the token manager can mint and burn', () => {
+        const recommend = (callable) => sdk.recommendTokenManagerType({ tokenManager, metadata, functions: functions(callable), transfer });
+
+        expect(recommend({ mint: true, burn: true, burnFrom: true }).tokenManagerType).to.equal(MINT_BURN);
+        expect(recommend({ mint: true, burnFrom: true }).tokenManagerType).to.equal(MINT_BURN_FROM);
+        expect(recommend({ burn: true }).tokenManagerType).to.equal(LOCK_UNLOCK);
+        expect(recommend({}).reasons).to.include(
+            `The token has mint and burn functions, grant the minter role to the token manager ${tokenManager} to use MINT_BURN`,
+        );
+    });
+
+    it('Should explain unchecked fees and non-standard metadata', () => {
+        const { recommendation, reasons } = sdk.recommendTokenManagerType({
+            tokenManager,
+            metadata: { ...metadata, symbol: { value: 'MKR', encoding: 'bytes32' }, decimals: { value: null, standard: false } },
+            functions: functions(),
+            transfer: null,
+        });
+
+        expect(recommendation).to.equal('LOCK_UNLOCK');
+        expect(reasons).to.include.members([
+            'Fee on transfer was not checked, analyze the token on a hardhat network or fork with a holder to check it',
+            'The symbol is returned as bytes32, which the factory cannot read to register the token as canonical',
+            'The token has no standard decimals, which are required to register its metadata',
+        ]);
+    });
+});
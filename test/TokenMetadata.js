@@ -0,0 +1,96 @@
+'use strict';
+
+const chai = require('chai');
+const { expect } = chai;
+const { ethers } = require('hardhat');
+const {
+    BigNumber,
+    utils: { defaultAbiCoder },
+} = ethers;
+const sdk = require('..');
+
+describe('Token Metadata', () => {
+    const tokenAddress = ethers.Wallet.createRandom().address;
+    const tokenInterface = new ethers.utils.Interface([
+        'function name() view returns (string)',
+        'function symbol() view returns (string)',
+        'function decimals() view returns (uint8)',
+    ]);
+    const encodeString = (value) => defaultAbiCoder.encode(['string'], [value]);
+
+    // Answers the metadata calls with the raw return data of each field, or reverts for fields that are null.
+    // Like hardhat, calls return the revert data instead of throwing, only the gas estimation throws.
+    const revertData = sdk.errorInterface.encodeErrorResult('ZeroAmount');
+    const createProvider = (fields) => ({
+        async estimateGas({ data }) {
+            if (fields[tokenInterface.parseTransaction({ data }).name] === null) throw new Error('execution reverted');
+
+            return BigNumber.from(30000);
+        },
+        async call({ data }) {
+            const { name } = tokenInterface.parseTransaction({ data });
+
+            return fields[name] === null ? revertData : fields[name];
+        },
+    });
+
+    const standardFields = {
+        name: encodeString('Token Name'),
+        symbol: encodeString('TN'),
+        decimals: defaultAbiCoder.encode(['uint8'], [18]),
+    };
+
+    it('Should read the metadata of a token', async () => {
+        expect(await sdk.getTokenMetadata(createProvider(standardFields), tokenAddress)).to.deep.equal({
+            name: 'Token Name',
+            symbol: 'TN',
+            decimals: 18,
+        });
+    });
+
+    it('Should raise NotToken for reverting metadata calls', async () => {
+        await sdk.getTokenMetadata(createProvider({ ...standardFields, symbol: null }), tokenAddress).then(
+            () => expect.fail('Expected the metadata to be rejected'),
+            (error) => expect(error).to.include({ name: 'NotToken', message: `NotToken(${tokenAddress})` }),
+        );
+    });
+
+    it('Should not fall back to bytes32 metadata like the factory', async () => {
+        const provider = createProvider({ ...standardFields, name: ethers.utils.formatBytes32String('MKR') });
+
+        await sdk.getTokenMetadata(provider, tokenAddress).then(
+            () => expect.fail('Expected the metadata to be rejected'),
+            (error) =>
+                expect(error.message).to.equal(
+                    `Token ${tokenAddress} returns its name as bytes32, which the factory does not decode and reverts without data`,
+                ),
+        );
+    });
+
+    it('Should reject decimals that are not a uint8', async () => {
+        const provider = createProvider({ ...standardFields, decimals: defaultAbiCoder.encode(['uint256'], [256]) });
+
+        await sdk.getTokenMetadata(provider, tokenAddress).then(
+            () => expect.fail('Expected the metadata to be rejected'),
+            (error) => expect(error.message).to.match(/returns decimals that are not a uint8/),
+        );
+    });
+
+    it('Should report the errors of canonical registrations and remote deployments', async () => {
+        const [validToken, emptyNameToken] = [ethers.Wallet.createRandom().address, ethers.Wallet.createRandom().address];
+        const providers = {
+            [validToken]: createProvider(standardFields),
+            [emptyNameToken]: createProvider({ ...standardFields, name: encodeString('') }),
+            [tokenAddress]: createProvider({ ...standardFields, decimals: null }),
+        };
+        const provider = { estimateGas: (tx) => providers[tx.to].estimateGas(tx), call: (tx) => providers[tx.to].call(tx) };
+
+        const [valid, emptyName, notToken] = await sdk.validateCanonicalRegistrations(provider, [validToken, emptyNameToken, tokenAddress]);
+
+        expect(valid).to.deep.include({ ok: true, registrationError: null, deploymentError: null });
+        expect(emptyName).to.deep.include({ ok: false, registrationError: null });
+        expect(emptyName.deploymentError.name).to.equal('EmptyTokenName');
+        expect(notToken).to.deep.include({ ok: false, metadata: null });
+        expect(notToken.registrationError.name).to.equal('NotToken');
+    });
+});
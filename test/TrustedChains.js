@@ -0,0 +1,66 @@
+'use strict';
+
+const chai = require('chai');
+const { expect } = chai;
+const { ethers } = require('hardhat');
+const {
+    constants: { HashZero },
+} = ethers;
+const sdk = require('..');
+
+describe('Trusted Chains', () => {
+    const { eventInterface } = sdk;
+    const address = ethers.Wallet.createRandom().address;
+
+    const toLog = (name, chainName, blockNumber, logIndex) => ({
+        ...eventInterface.encodeEventLog(eventInterface.getEvent(name), [chainName]),
+        address,
+        blockNumber,
+        transactionHash: HashZero,
+        logIndex,
+    });
+
+    const logs = [
+        toLog('TrustedChainSet', 'chain A', 1, 0),
+        toLog('TrustedChainSet', 'chain B', 1, 1),
+        toLog('TrustedChainRemoved', 'chain A', 2, 0),
+        toLog('TrustedChainSet', 'chain C', 2, 1),
+        toLog('TrustedChainSet', 'chain C', 3, 0),
+    ];
+    const provider = {
+        async getBlockNumber() {
+            return 3;
+        },
+        async getLogs({ fromBlock, toBlock }) {
+            return logs.filter(({ blockNumber }) => blockNumber >= fromBlock && blockNumber <= toBlock);
+        },
+    };
+
+    it('Should rebuild the trusted chains from their events', async () => {
+        expect(await sdk.getTrustedChains(provider, address)).to.deep.equal(['chain B', 'chain C']);
+    });
+
+    it('Should rebuild the trusted chains from events in several block chunks', async () => {
+        expect(await sdk.getTrustedChains(provider, address, { fromBlock: 1, chunkSize: 1 })).to.deep.equal(['chain B', 'chain C']);
+        expect(await sdk.getTrustedChains(provider, address, { fromBlock: 2, chunkSize: 1 })).to.deep.equal(['chain C']);
+    });
+
+    it('Should produce the calls to converge to the desired chains', async () => {
+        const { toAdd, toRemove, calls, multicall } = await sdk.reconcileTrustedChains(provider, address, ['chain A', 'chain C']);
+
+        expect(toAdd).to.deep.equal(['chain A']);
+        expect(toRemove).to.deep.equal(['chain B']);
+        expect(calls.map(({ method, args }) => [method, ...args])).to.deep.equal([
+            ['removeTrustedChain', 'chain B'],
+            ['setTrustedChain', 'chain A'],
+        ]);
+        expect(sdk.trustedChainsInterface.decodeFunctionData('multicall', multicall).data).to.deep.equal(calls.map(({ data }) => data));
+    });
+
+    it('Should not produce calls when the chains already match', async () => {
+        const { calls, multicall } = await sdk.reconcileTrustedChains(provider, address, ['chain C', 'chain B']);
+
+        expect(calls).to.deep.equal([]);
+        expect(multicall).to.be.null;
+    });
+});
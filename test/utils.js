@@ -6,14 +6,15 @@ const { ethers, network, config } = require('hardhat');
 const { expect } = require('chai');
 const { defaultAbiCoder, keccak256 } = ethers.utils;
 const {
-    MESSAGE_TYPE_INTERCHAIN_TRANSFER,
-    MESSAGE_TYPE_DEPLOY_INTERCHAIN_TOKEN,
-    MESSAGE_TYPE_DEPLOY_TOKEN_MANAGER,
-    MESSAGE_TYPE_SEND_TO_HUB,
-    MESSAGE_TYPE_RECEIVE_FROM_HUB,
-    MESSAGE_TYPE_LINK_TOKEN,
-    MESSAGE_TYPE_REGISTER_TOKEN_METADATA,
-} = require('./constants');
+    encodeInterchainTransferMessage,
+    encodeDeployInterchainTokenMessage,
+    encodeDeployTokenManagerMessage,
+    encodeSendHubMessage,
+    encodeReceiveHubMessage,
+    encodeLinkTokenMessage,
+    encodeRegisterTokenMetadataMessage,
+} = require('../scripts/encoding');
+const { getPayloadAndProposalHash: createProposalPayload, getProposalEta } = require('../scripts/governance');
 
 function getRandomBytes32() {
     return keccak256(defaultAbiCoder.encode(['uint256'], [Math.floor(new Date().getTime() * Math.random())]));
@@ -52,23 +53,10 @@ const getChainId = () => {
 };
 
 const getPayloadAndProposalHash = async (commandID, target, nativeValue, calldata, timeDelay) => {
-    let eta;
+    // 12 second buffer for live network tests
+    const eta = timeDelay ? (await getProposalEta(ethers.provider, timeDelay)) - 12 : 0;
 
-    if (timeDelay) {
-        const block = await ethers.provider.getBlock('latest');
-        eta = block.timestamp + timeDelay - 12; // 12 second buffer for live network tests
-    } else {
-        eta = 0;
-    }
-
-    const proposalHash = keccak256(defaultAbiCoder.encode(['address', 'bytes', 'uint256'], [target, calldata, nativeValue]));
-
-    const payload = defaultAbiCoder.encode(
-        ['uint256', 'address', 'bytes', 'uint256', 'uint256'],
-        [commandID, target, calldata, nativeValue, eta],
-    );
-
-    return [payload, proposalHash, eta];
+    return createProposalPayload(commandID, target, nativeValue, calldata, eta);
 };
 
 const waitFor = async (timeDelay) => {
@@ -196,55 +184,6 @@ function getContractJSON(contractName, artifactPath) {
     }
 }
 
-function encodeInterchainTransferMessage(tokenId, from, to, amount, data) {
-    return defaultAbiCoder.encode(
-        ['uint256', 'bytes32', 'bytes', 'bytes', 'uint256', 'bytes'],
-        [MESSAGE_TYPE_INTERCHAIN_TRANSFER, tokenId, from, to, amount, data],
-    );
-}
-
-function encodeDeployInterchainTokenMessage(tokenId, name, symbol, decimals, minter) {
-    return defaultAbiCoder.encode(
-        ['uint256', 'bytes32', 'string', 'string', 'uint8', 'bytes'],
-        [MESSAGE_TYPE_DEPLOY_INTERCHAIN_TOKEN, tokenId, name, symbol, decimals, minter],
-    );
-}
-
-function encodeDeployTokenManagerMessage(tokenId, address, salt) {
-    return defaultAbiCoder.encode(['uint256', 'bytes32', 'bytes', 'uint256'], [MESSAGE_TYPE_DEPLOY_TOKEN_MANAGER, tokenId, address, salt]);
-}
-
-function encodeSendHubMessage(chain, message) {
-    const payload = defaultAbiCoder.encode(['uint256', 'string', 'bytes'], [MESSAGE_TYPE_SEND_TO_HUB, chain, message]);
-    return {
-        payload,
-        payloadHash: keccak256(payload),
-    };
-}
-
-function encodeReceiveHubMessage(chain, message) {
-    const payload = defaultAbiCoder.encode(['uint256', 'string', 'bytes'], [MESSAGE_TYPE_RECEIVE_FROM_HUB, chain, message]);
-    return {
-        payload,
-        payloadHash: keccak256(payload),
-    };
-}
-
-function encodeLinkTokenMessage(tokenId, type, remoteAddress, localAddress, minter) {
-    return defaultAbiCoder.encode(
-        ['uint256', 'bytes32', 'uint256', 'bytes', 'bytes', 'bytes'],
-        [MESSAGE_TYPE_LINK_TOKEN, tokenId, type, remoteAddress, localAddress, minter],
-    );
-}
-
-function encodeRegisterTokenMetadataMessage(tokenAddress, decimals) {
-    const payload = defaultAbiCoder.encode(['uint256', 'bytes', 'uint8'], [MESSAGE_TYPE_REGISTER_TOKEN_METADATA, tokenAddress, decimals]);
-    return {
-        payload,
-        payloadHash: keccak256(payload),
-    };
-}
-
 module.exports = {
     getRandomBytes32,
     getSaltFromKey,